@@ -0,0 +1,999 @@
+(() => {
+
+  // Firefox lists settings.js and store.js next to this file; the Chrome service worker
+  // pulls them in here.
+  if (!globalThis.batoFixerStore && typeof importScripts === 'function') importScripts('settings.js', 'store.js');
+  const SETTINGS = globalThis.batoFixerSettings;
+  const STORE = globalThis.batoFixerStore;
+
+  // The whole database used to be one chrome.storage blob under this key; it is imported
+  // into IndexedDB on first run and then removed.
+  const HEALTH_KEY = 'batoHostHealthV1';
+  const HEALTH_VERSION = 1;
+  const HOST_CACHE_MAX = 5000;
+  const URL_SERIES_MAX = 5000;
+  const URL_STORE_MAX = 100000;
+  const URL_PARTITIONS_CACHED = 16;
+  const SERIES_KEY_MAX = 64;
+  const BEST_HOST_STATS_MAX = 2000;
+  const DISCOVERED_ROOTS_MAX = 120;
+  const CANDIDATE_HISTORY_MAX = 800;
+  const LATENCY_SAMPLES_MAX = 16;
+  const BREAKER_MAX = 600;
+  const BREAKER_FORGET_AFTER = 24 * 60 * 60 * 1000;
+  const DECOY_MAX = 50;
+  const DECOY_PRINT_RE = /^\d+x\d+$/;
+  const PERSIST_DEBOUNCE_DELAY = 250;
+
+  const REDIRECT_RULES_KEY = 'batoRedirectRulesV1';
+  const REDIRECT_RULE_TTL = 6 * 60 * 60 * 1000;
+  const REDIRECT_RULES_MAX = 300;
+  const REDIRECT_PRUNE_ALARM = 'batoRedirectRulesPrune';
+  const REDIRECT_PRUNE_PERIOD_MINUTES = 15;
+  const TAB_STATS_KEY_PREFIX = 'batoTabStats:';
+  const BADGE_COLOR = '#c62828';
+  const EARLY_SCRIPT_ID_PREFIX = 'batoEarly:';
+  const BASE_RE = /^https:\/\/([a-z]+\d{1,3}\.[a-z0-9\-]+\.(?:org|net|to))$/i;
+  const HOST_RE = /^[a-z]+\d{1,3}\.[a-z0-9\-]+\.(org|net|to)$/i;
+  const CDN_URL_RE = /^https:\/\/[a-z]+\d{1,3}\.[a-z0-9\-]+\.(?:org|net|to)\/\S*$/i;
+  const EXPORT_FORMAT = 'batoFixerHostDatabase';
+  const EXPORT_VERSION = 1;
+
+  const hostMeta = new Map();
+  const hostStats = new Map();
+  const rootStats = new Map();
+  const historyStats = new Map();
+  const hostBreakers = new Map();
+  const decoyPrints = new Map();
+
+  // series -> Map(badUrl -> meta), loaded on demand; the most recently used stay cached.
+  const urlPartitions = new Map();
+  const seriesLoads = new Map();
+
+  let loadPromise = null;
+  let persistTimer = null;
+
+  // badBase -> { id, target, expiresAt }; mirrors the dynamic declarativeNetRequest rules.
+  const redirectRules = new Map();
+  let redirectLoadPromise = null;
+  let redirectQueue = Promise.resolve();
+  let earlyScriptsQueue = Promise.resolve();
+
+  function nowMs() {
+    return Date.now();
+  }
+
+  function isHostTuple(obj) {
+    return !!obj && typeof obj === 'object'
+      && typeof obj.prefix === 'string'
+      && typeof obj.number === 'number'
+      && typeof obj.root === 'string'
+      && typeof obj.tld === 'string';
+  }
+
+  // Roots the settings name, the reader sites' own domains and roots tabs have seen serve
+  // real images. A mapping onto any other root is never stored or turned into a redirect.
+  let settingsRoots = SETTINGS.knownRoots(null);
+  const siteRoots = new Set(contentScriptMatches()
+    .map(pattern => (/^[^:]+:\/\/(?:\*\.)?([^/]+)\//.exec(pattern) || [])[1])
+    .filter(Boolean)
+    .map(host => host.split('.').slice(-2).join('.')));
+
+  function contentScriptMatches() {
+    try {
+      const scripts = chrome.runtime.getManifest().content_scripts || [];
+      return scripts.flatMap(cs => cs.matches || []);
+    } catch {
+      return [];
+    }
+  }
+
+  async function loadKnownRoots() {
+    try {
+      const stored = await chrome.storage.local.get(SETTINGS.SETTINGS_KEY);
+      settingsRoots = SETTINGS.knownRoots(stored ? stored[SETTINGS.SETTINGS_KEY] : null);
+    } catch {
+    }
+  }
+
+  function isKnownHostTuple(obj) {
+    if (!isHostTuple(obj) || !Number.isInteger(obj.number) || !BASE_RE.test(tupleBase(obj))) return false;
+    const root = `${obj.root}.${obj.tld}`.toLowerCase();
+    return settingsRoots.has(root) || siteRoots.has(root) || rootStats.has(root);
+  }
+
+  function pruneMetaMap(metaMap, maxEntries) {
+    if (metaMap.size <= maxEntries) return [];
+    const entries = Array.from(metaMap.entries());
+    entries.sort((a, b) => (a[1].lastUsed || 0) - (b[1].lastUsed || 0));
+    const toRemove = entries.slice(0, Math.max(0, metaMap.size - maxEntries));
+    for (const [k] of toRemove) metaMap.delete(k);
+    return toRemove.map(([k]) => k);
+  }
+
+  function tupleBase(tuple) {
+    return `https://${tuple.prefix}${String(tuple.number).padStart(2, '0')}.${tuple.root}.${tuple.tld}`;
+  }
+
+  function numberOr(value, fallback) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : fallback;
+  }
+
+  // Freshness of a mapping travels with it; content scripts decide what counts as stale.
+  const MAPPING_FIELDS = ['verifiedAt', 'ttl', 'confidence'];
+
+  function mappingFields(entry) {
+    const out = {};
+    for (const key of MAPPING_FIELDS) {
+      if (typeof entry[key] === 'number' && Number.isFinite(entry[key])) out[key] = entry[key];
+    }
+    return out;
+  }
+
+  function mergeHostEntry(badBase, entry) {
+    if (!BASE_RE.test(badBase)) return;
+    if (!entry || !isKnownHostTuple(entry.host)) return;
+    const lastUsed = numberOr(entry.lastUsed, 0);
+    const prev = hostMeta.get(badBase);
+    if (prev && (prev.lastUsed || 0) > lastUsed) return;
+    hostMeta.set(badBase, { host: entry.host, lastUsed, ...mappingFields(entry) });
+  }
+
+  function mergeUrlEntry(partition, badUrl, entry) {
+    if (!badUrl || typeof badUrl !== 'string') return;
+    if (!entry || typeof entry.fixedUrl !== 'string') return;
+    const lastUsed = numberOr(entry.lastUsed, 0);
+    const prev = partition.get(badUrl);
+    if (prev && (prev.lastUsed || 0) > lastUsed) return;
+    partition.set(badUrl, { fixedUrl: entry.fixedUrl, lastUsed, ...mappingFields(entry) });
+  }
+
+  function mergeBreakerEntry(cacheKey, entry) {
+    if (!BASE_RE.test(cacheKey)) return;
+    if (!entry || typeof entry.failures !== 'number' || typeof entry.openUntil !== 'number') return;
+    const lastUsed = numberOr(entry.lastUsed, 0);
+    if (nowMs() - lastUsed > BREAKER_FORGET_AFTER) return;
+    const prev = hostBreakers.get(cacheKey);
+    if (prev && (prev.lastUsed || 0) > lastUsed) return;
+    hostBreakers.set(cacheKey, { failures: entry.failures, openUntil: entry.openUntil, lastUsed });
+  }
+
+  function mergeDecoyDelta(print, delta) {
+    if (!DECOY_PRINT_RE.test(print)) return;
+    if (!delta || typeof delta !== 'object') return;
+    const meta = decoyPrints.get(print) || { hits: 0, lastUsed: 0 };
+    meta.hits += Math.max(0, numberOr(delta.hits, 0));
+    meta.lastUsed = Math.max(meta.lastUsed, numberOr(delta.lastUsed, 0));
+    decoyPrints.set(print, meta);
+  }
+
+  function mergeStatsDelta(host, delta, statsMap = hostStats) {
+    if (!host || typeof host !== 'string') return;
+    if (!delta || typeof delta !== 'object') return;
+    const meta = statsMap.get(host) || { hits: 0, fails: 0, lastUsed: 0 };
+    meta.hits += Math.max(0, numberOr(delta.hits, 0));
+    meta.fails += Math.max(0, numberOr(delta.fails, 0));
+    meta.lastUsed = Math.max(meta.lastUsed || 0, numberOr(delta.lastUsed, 0));
+    if (Array.isArray(delta.lat)) {
+      const samples = delta.lat.filter(v => typeof v === 'number' && Number.isFinite(v) && v >= 0);
+      meta.lat = [...(meta.lat || []), ...samples].slice(-LATENCY_SAMPLES_MAX);
+    }
+    statsMap.set(host, meta);
+  }
+
+  // Everything except URL mappings is loaded whole; each table knows its IndexedDB
+  // store, its cap and how to turn an in-memory entry back into a record. Keys touched
+  // since the last write are tracked so a flush only puts or deletes those.
+  const tables = {
+    hosts: {
+      map: hostMeta,
+      max: HOST_CACHE_MAX,
+      load: r => mergeHostEntry(r.badBase, r),
+      record: (badBase, m) => ({ badBase, host: m.host, lastUsed: m.lastUsed || 0, ...mappingFields(m) })
+    },
+    stats: {
+      map: hostStats,
+      max: BEST_HOST_STATS_MAX,
+      load: r => mergeStatsDelta(r.host, r),
+      record: (host, m) => ({ host, hits: m.hits || 0, fails: m.fails || 0, lastUsed: m.lastUsed || 0, lat: m.lat || [] })
+    },
+    roots: {
+      map: rootStats,
+      max: DISCOVERED_ROOTS_MAX,
+      load: r => mergeStatsDelta(r.key, r, rootStats),
+      record: (key, m) => ({ key, hits: m.hits || 0, fails: m.fails || 0, lastUsed: m.lastUsed || 0 })
+    },
+    history: {
+      map: historyStats,
+      max: CANDIDATE_HISTORY_MAX,
+      load: r => mergeStatsDelta(r.key, r, historyStats),
+      record: (key, m) => ({ key, hits: m.hits || 0, fails: m.fails || 0, lastUsed: m.lastUsed || 0 })
+    },
+    breakers: {
+      map: hostBreakers,
+      max: BREAKER_MAX,
+      load: r => mergeBreakerEntry(r.cacheKey, r),
+      record: (cacheKey, b) => ({ cacheKey, failures: b.failures, openUntil: b.openUntil, lastUsed: b.lastUsed || 0 })
+    },
+    decoys: {
+      map: decoyPrints,
+      max: DECOY_MAX,
+      load: r => mergeDecoyDelta(r.print, r),
+      record: (print, m) => ({ print, hits: m.hits, lastUsed: m.lastUsed })
+    }
+  };
+  for (const table of Object.values(tables)) table.dirty = new Set();
+
+  // series + '\n' + badUrl -> [series, badUrl]
+  const dirtyUrls = new Map();
+
+  function markDirty(name, key) {
+    tables[name].dirty.add(key);
+  }
+
+  function markUrlDirty(series, badUrl) {
+    dirtyUrls.set(`${series}\n${badUrl}`, [series, badUrl]);
+  }
+
+  function seriesKey(value) {
+    return typeof value === 'string' && value.length <= SERIES_KEY_MAX ? value : '';
+  }
+
+  // The chrome.storage blob from before IndexedDB is merged once, newest entry winning,
+  // and dropped after it has been written through. Its URLs never knew their series.
+  async function importStoredHealth() {
+    const stored = await chrome.storage.local.get(HEALTH_KEY);
+    const parsed = stored && stored[HEALTH_KEY];
+    if (!parsed) return;
+    if (parsed.version === HEALTH_VERSION) {
+      const section = (name) => (parsed[name] && typeof parsed[name] === 'object' ? parsed[name] : {});
+      applyReport({ ...parsed, series: '', stats: {}, roots: {}, history: {} });
+      for (const [host, entry] of Object.entries(section('stats'))) {
+        if (hostStats.has(host)) continue;
+        mergeStatsDelta(host, entry);
+        markDirty('stats', host);
+      }
+      for (const [name, statsMap] of [['roots', rootStats], ['history', historyStats]]) {
+        for (const [key, entry] of Object.entries(section(name))) {
+          if (statsMap.has(key)) continue;
+          mergeStatsDelta(key, entry, statsMap);
+          markDirty(name, key);
+        }
+      }
+      await persistHealthNow();
+    }
+    await chrome.storage.local.remove(HEALTH_KEY);
+  }
+
+  function loadHealth() {
+    if (loadPromise) return loadPromise;
+    loadPromise = (async () => {
+      try {
+        await loadKnownRoots();
+        // Roots first, so mappings onto discovered roots pass isKnownHostTuple.
+        const names = ['roots', ...Object.keys(tables).filter(name => name !== 'roots')];
+        for (const name of names) {
+          for (const record of await STORE.getAll(name)) tables[name].load(record);
+        }
+        await loadSeries('');
+        await importStoredHealth();
+      } catch {
+      }
+    })();
+    return loadPromise;
+  }
+
+  function partitionFor(series) {
+    let partition = urlPartitions.get(series);
+    if (!partition) {
+      partition = new Map();
+      urlPartitions.set(series, partition);
+    } else {
+      // Re-insert so the Map's order doubles as recency.
+      urlPartitions.delete(series);
+      urlPartitions.set(series, partition);
+    }
+    return partition;
+  }
+
+  function loadSeries(series) {
+    if (urlPartitions.has(series)) {
+      partitionFor(series);
+      return Promise.resolve();
+    }
+    let pending = seriesLoads.get(series);
+    if (pending) return pending;
+    pending = STORE.getSeries(series)
+      .then(records => {
+        const partition = partitionFor(series);
+        for (const record of records) mergeUrlEntry(partition, record.badUrl, record);
+      })
+      .catch(() => {
+        partitionFor(series);
+      })
+      .finally(() => seriesLoads.delete(series));
+    seriesLoads.set(series, pending);
+    return pending;
+  }
+
+  function snapshotHealth(series) {
+    const hosts = {};
+    for (const [badBase, meta] of hostMeta.entries()) {
+      hosts[badBase] = { host: meta.host, lastUsed: meta.lastUsed || 0, ...mappingFields(meta) };
+    }
+    // Mappings without a series (imported, or from pages with no series id) go to everyone.
+    const urls = {};
+    for (const partition of new Set([urlPartitions.get(''), urlPartitions.get(series)])) {
+      for (const [badUrl, meta] of (partition || new Map()).entries()) {
+        urls[badUrl] = { fixedUrl: meta.fixedUrl, lastUsed: meta.lastUsed || 0, ...mappingFields(meta) };
+      }
+    }
+    const stats = {};
+    for (const [host, meta] of hostStats.entries()) {
+      stats[host] = { hits: meta.hits || 0, fails: meta.fails || 0, lastUsed: meta.lastUsed || 0, lat: meta.lat || [] };
+    }
+    const roots = {};
+    for (const [key, meta] of rootStats.entries()) {
+      roots[key] = { hits: meta.hits || 0, fails: meta.fails || 0, lastUsed: meta.lastUsed || 0 };
+    }
+    const history = {};
+    for (const [key, meta] of historyStats.entries()) {
+      history[key] = { hits: meta.hits || 0, fails: meta.fails || 0, lastUsed: meta.lastUsed || 0 };
+    }
+    const breakers = {};
+    for (const [cacheKey, b] of hostBreakers.entries()) {
+      breakers[cacheKey] = { failures: b.failures, openUntil: b.openUntil, lastUsed: b.lastUsed || 0 };
+    }
+    const decoys = Object.fromEntries(decoyPrints);
+    return { version: HEALTH_VERSION, savedAt: nowMs(), series, hosts, urls, stats, roots, history, breakers, decoys };
+  }
+
+  function collectChanges() {
+    const changes = {};
+    for (const [name, table] of Object.entries(tables)) {
+      for (const key of pruneMetaMap(table.map, table.max)) table.dirty.add(key);
+      changes[name] = Array.from(table.dirty, key => (
+        table.map.has(key) ? { put: table.record(key, table.map.get(key)) } : { delete: key }
+      ));
+      table.dirty.clear();
+    }
+
+    for (const [series, partition] of urlPartitions.entries()) {
+      for (const badUrl of pruneMetaMap(partition, URL_SERIES_MAX)) markUrlDirty(series, badUrl);
+    }
+    changes.urls = Array.from(dirtyUrls.values(), ([series, badUrl]) => {
+      const meta = urlPartitions.has(series) ? urlPartitions.get(series).get(badUrl) : null;
+      if (!meta) return { delete: [series, badUrl] };
+      return { put: { series, badUrl, fixedUrl: meta.fixedUrl, lastUsed: meta.lastUsed || 0, ...mappingFields(meta) } };
+    });
+    dirtyUrls.clear();
+    return changes;
+  }
+
+  async function persistHealthNow() {
+    try {
+      const changes = collectChanges();
+      try {
+        await STORE.write(changes);
+      } catch (e) {
+        // Out of space: give up the oldest half of the URL mappings and try once more.
+        if (!e || e.name !== 'QuotaExceededError') throw e;
+        await STORE.pruneUrls(Math.floor(URL_STORE_MAX / 2));
+        await STORE.write(changes);
+      }
+      // Everything is on disk now, so idle partitions can leave memory.
+      while (urlPartitions.size > URL_PARTITIONS_CACHED) {
+        urlPartitions.delete(urlPartitions.keys().next().value);
+      }
+    } catch {
+    }
+  }
+
+  function schedulePersist() {
+    if (persistTimer) return;
+    persistTimer = setTimeout(() => {
+      persistTimer = null;
+      persistHealthNow();
+    }, PERSIST_DEBOUNCE_DELAY);
+  }
+
+  function escapeRegex(str) {
+    return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  function buildRedirectRule(id, badBase, targetBase) {
+    const host = badBase.match(BASE_RE)[1];
+    return {
+      id,
+      priority: 1,
+      action: {
+        type: 'redirect',
+        redirect: { regexSubstitution: `${targetBase}\\1` }
+      },
+      condition: {
+        regexFilter: `^https?://${escapeRegex(host)}(/.*)$`,
+        resourceTypes: ['image']
+      }
+    };
+  }
+
+  function hasRedirectApi() {
+    return !!(chrome.declarativeNetRequest && chrome.declarativeNetRequest.updateDynamicRules);
+  }
+
+  // A redirect only fires with host access to the request URL (and to the page, which the
+  // manifest grants for every reader site). CDN roots discovered at runtime usually lack
+  // it, and a rule there would silently do nothing while pages count on it.
+  async function canRedirect(badBase) {
+    if (!chrome.permissions || !chrome.permissions.contains) return true;
+    try {
+      return await chrome.permissions.contains({ origins: [`${badBase}/*`] });
+    } catch {
+      return false;
+    }
+  }
+
+  // Rule edits are serialised so two reports never race for the same rule ids.
+  function enqueueRedirectTask(task) {
+    redirectQueue = redirectQueue.then(task).catch(() => {});
+    return redirectQueue;
+  }
+
+  async function persistRedirectRules() {
+    const rules = {};
+    for (const [badBase, meta] of redirectRules.entries()) rules[badBase] = meta;
+    await chrome.storage.local.set({ [REDIRECT_RULES_KEY]: rules });
+  }
+
+  function loadRedirectRules() {
+    if (redirectLoadPromise) return redirectLoadPromise;
+    redirectLoadPromise = (async () => {
+      try {
+        const stored = await chrome.storage.local.get(REDIRECT_RULES_KEY);
+        const rules = stored && stored[REDIRECT_RULES_KEY];
+        if (rules && typeof rules === 'object') {
+          for (const [badBase, meta] of Object.entries(rules)) {
+            if (!BASE_RE.test(badBase) || !meta || typeof meta !== 'object') continue;
+            if (typeof meta.id !== 'number' || typeof meta.target !== 'string') continue;
+            redirectRules.set(badBase, { id: meta.id, target: meta.target, expiresAt: numberOr(meta.expiresAt, 0) });
+          }
+        }
+        if (!hasRedirectApi()) return;
+
+        // Rules without host access never fire; forgetting them here uninstalls them below.
+        let dropped = false;
+        for (const badBase of Array.from(redirectRules.keys())) {
+          if (await canRedirect(badBase)) continue;
+          redirectRules.delete(badBase);
+          dropped = true;
+        }
+        if (dropped) await persistRedirectRules();
+
+        // Drop installed rules we no longer have metadata for.
+        const known = new Set(Array.from(redirectRules.values()).map(m => m.id));
+        const installed = await chrome.declarativeNetRequest.getDynamicRules();
+        const stale = installed.map(r => r.id).filter(id => !known.has(id));
+        if (stale.length) await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds: stale });
+      } catch {
+      }
+    })();
+    return redirectLoadPromise;
+  }
+
+  function nextRedirectRuleId() {
+    let id = 1;
+    const used = new Set(Array.from(redirectRules.values()).map(m => m.id));
+    while (used.has(id)) id++;
+    return id;
+  }
+
+  function installRedirectRule(badBase, targetBase) {
+    if (!BASE_RE.test(badBase) || !BASE_RE.test(targetBase) || badBase === targetBase) return;
+    return enqueueRedirectTask(async () => {
+      await loadRedirectRules();
+      const expiresAt = nowMs() + REDIRECT_RULE_TTL;
+      const prev = redirectRules.get(badBase);
+      if (prev && prev.target === targetBase) {
+        prev.expiresAt = expiresAt;
+        await persistRedirectRules();
+        return;
+      }
+      if (!hasRedirectApi()) return;
+
+      const removeRuleIds = prev ? [prev.id] : [];
+      if (!(await canRedirect(badBase))) {
+        if (!prev) return;
+        redirectRules.delete(badBase);
+        await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds });
+        await persistRedirectRules();
+        return;
+      }
+      if (!prev && redirectRules.size >= REDIRECT_RULES_MAX) {
+        const oldest = Array.from(redirectRules.entries())
+          .sort((a, b) => (a[1].expiresAt || 0) - (b[1].expiresAt || 0))[0];
+        redirectRules.delete(oldest[0]);
+        removeRuleIds.push(oldest[1].id);
+      }
+      const id = prev ? prev.id : nextRedirectRuleId();
+      await chrome.declarativeNetRequest.updateDynamicRules({
+        removeRuleIds,
+        addRules: [buildRedirectRule(id, badBase, targetBase)]
+      });
+      redirectRules.set(badBase, { id, target: targetBase, expiresAt });
+      await persistRedirectRules();
+    });
+  }
+
+  function removeRedirectRules(predicate) {
+    return enqueueRedirectTask(async () => {
+      await loadRedirectRules();
+      const removeRuleIds = [];
+      for (const [badBase, meta] of Array.from(redirectRules.entries())) {
+        if (!predicate(badBase, meta)) continue;
+        redirectRules.delete(badBase);
+        removeRuleIds.push(meta.id);
+      }
+      if (removeRuleIds.length === 0) return;
+      if (hasRedirectApi()) await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds });
+      await persistRedirectRules();
+    });
+  }
+
+  function redirectSnapshot() {
+    const out = {};
+    for (const [badBase, meta] of redirectRules.entries()) out[badBase] = meta.target;
+    return out;
+  }
+
+  // Per-tab stats live in session storage so a restarted worker can still answer the popup.
+  function tabStatsKey(tabId) {
+    return `${TAB_STATS_KEY_PREFIX}${tabId}`;
+  }
+
+  function sessionArea() {
+    return chrome.storage.session || null;
+  }
+
+  async function setTabStats(tabId, stats) {
+    const area = sessionArea();
+    if (area) await area.set({ [tabStatsKey(tabId)]: stats });
+    updateBadge(tabId, stats);
+  }
+
+  async function getTabStats(tabId) {
+    const area = sessionArea();
+    if (!area) return null;
+    const stored = await area.get(tabStatsKey(tabId));
+    return (stored && stored[tabStatsKey(tabId)]) || null;
+  }
+
+  async function clearTabStats(tabId) {
+    const area = sessionArea();
+    if (area) await area.remove(tabStatsKey(tabId));
+    updateBadge(tabId, null);
+  }
+
+  function updateBadge(tabId, stats) {
+    if (!chrome.action) return;
+    const broken = stats && typeof stats.broken === 'number' ? stats.broken : 0;
+    try {
+      chrome.action.setBadgeText({ tabId, text: broken > 0 ? String(broken) : '' });
+      chrome.action.setBadgeBackgroundColor({ tabId, color: BADGE_COLOR });
+    } catch {
+    }
+  }
+
+  function sanitizeTabStats(stats, tab) {
+    const src = stats && typeof stats === 'object' ? stats : {};
+    const sources = src.sources && typeof src.sources === 'object' ? src.sources : {};
+    const hosts = Array.isArray(src.hosts) ? src.hosts : [];
+    return {
+      site: typeof src.site === 'string' ? src.site : '',
+      url: tab && typeof tab.url === 'string' ? tab.url : '',
+      updatedAt: nowMs(),
+      fixed: Math.max(0, numberOr(src.fixed, 0)),
+      retry: Math.max(0, numberOr(src.retry, 0)),
+      failed: Math.max(0, numberOr(src.failed, 0)),
+      broken: Math.max(0, numberOr(src.broken, 0)),
+      sources: Object.fromEntries(
+        Object.entries(sources).map(([k, v]) => [k, Math.max(0, numberOr(v, 0))])
+      ),
+      hosts: hosts
+        .filter(h => h && typeof h.host === 'string')
+        .map(h => ({ host: h.host, count: Math.max(0, numberOr(h.count, 0)) }))
+    };
+  }
+
+  // Reports carry host/url entries to upsert (null means drop) and stats as deltas,
+  // so several tabs reporting the same host add up instead of overwriting each other.
+  function applyReport(report) {
+    if (!report || typeof report !== 'object') return;
+
+    // Roots before hosts, so a mapping onto a root reported alongside it is accepted.
+    const roots = report.roots && typeof report.roots === 'object' ? report.roots : {};
+    for (const [key, delta] of Object.entries(roots)) {
+      if (!/^[a-z0-9\-]+\.(org|net|to)$/.test(key)) continue;
+      mergeStatsDelta(key, delta, rootStats);
+      markDirty('roots', key);
+    }
+
+    const hosts = report.hosts && typeof report.hosts === 'object' ? report.hosts : {};
+    for (const [badBase, entry] of Object.entries(hosts)) {
+      if (entry === null) {
+        hostMeta.delete(badBase);
+        removeRedirectRules(b => b === badBase);
+      } else {
+        mergeHostEntry(badBase, entry);
+        const meta = hostMeta.get(badBase);
+        if (meta) installRedirectRule(badBase, tupleBase(meta.host));
+      }
+      markDirty('hosts', badBase);
+    }
+
+    // URL mappings land in the reporting tab's series; callers load that partition first.
+    const series = seriesKey(report.series);
+    const partition = partitionFor(series);
+    const urls = report.urls && typeof report.urls === 'object' ? report.urls : {};
+    for (const [badUrl, entry] of Object.entries(urls)) {
+      if (entry === null) partition.delete(badUrl);
+      else mergeUrlEntry(partition, badUrl, entry);
+      markUrlDirty(series, badUrl);
+    }
+
+    const stats = report.stats && typeof report.stats === 'object' ? report.stats : {};
+    for (const [host, delta] of Object.entries(stats)) {
+      mergeStatsDelta(host, delta);
+      markDirty('stats', host);
+    }
+
+    const history = report.history && typeof report.history === 'object' ? report.history : {};
+    for (const [key, delta] of Object.entries(history)) {
+      if (!/^[pnr]:/.test(key)) continue;
+      mergeStatsDelta(key, delta, historyStats);
+      markDirty('history', key);
+    }
+
+    const breakers = report.breakers && typeof report.breakers === 'object' ? report.breakers : {};
+    for (const [cacheKey, entry] of Object.entries(breakers)) {
+      if (entry === null) hostBreakers.delete(cacheKey);
+      else mergeBreakerEntry(cacheKey, entry);
+      markDirty('breakers', cacheKey);
+    }
+
+    const decoys = report.decoys && typeof report.decoys === 'object' ? report.decoys : {};
+    for (const [print, delta] of Object.entries(decoys)) {
+      if (!DECOY_PRINT_RE.test(print)) continue;
+      mergeDecoyDelta(print, delta);
+      markDirty('decoys', print);
+    }
+
+    schedulePersist();
+  }
+
+  // Pages kept their own mappings, stats, breakers and decoy prints in localStorage before
+  // IndexedDB. Each origin hands its copy over once; counters only fill keys the database
+  // has never seen, since the page reported its own counts as it went. Old URL mappings
+  // carry no series.
+  function importLegacyPageCache(legacy) {
+    const cache = STORE.upgradeLegacyCache(legacy.cache);
+    if (cache) applyReport({ series: '', hosts: cache.hosts, urls: cache.urls });
+
+    // Every blob was { version: 1, savedAt, <section>: { key: entry } }.
+    const section = (raw, name) => (raw && raw.version === 1 && raw[name] && typeof raw[name] === 'object' ? raw[name] : {});
+    const counters = [
+      ['stats', hostStats, section(legacy.stats, 'stats'), key => HOST_RE.test(key)],
+      ['roots', rootStats, section(legacy.roots, 'roots'), key => /^[a-z0-9\-]+\.(org|net|to)$/.test(key)],
+      ['history', historyStats, section(legacy.history, 'entries'), key => /^[pnr]:/.test(key)]
+    ];
+    for (const [name, statsMap, entries, isKey] of counters) {
+      for (const [key, entry] of Object.entries(entries)) {
+        if (statsMap.has(key) || !isKey(key)) continue;
+        mergeStatsDelta(key, entry, statsMap);
+        markDirty(name, key);
+      }
+    }
+
+    for (const [cacheKey, entry] of Object.entries(section(legacy.breakers, 'breakers'))) {
+      mergeBreakerEntry(cacheKey, entry);
+      if (hostBreakers.has(cacheKey)) markDirty('breakers', cacheKey);
+    }
+
+    for (const [print, entry] of Object.entries(section(legacy.decoys, 'prints'))) {
+      if (decoyPrints.has(print)) continue;
+      mergeDecoyDelta(print, entry);
+      if (decoyPrints.has(print)) markDirty('decoys', print);
+    }
+  }
+
+  // The learned database as a file another profile can import: host mappings, URL
+  // mappings grouped by series, and per-host stats.
+  async function exportDatabase() {
+    await loadHealth();
+    await persistHealthNow();
+
+    const hosts = {};
+    for (const [badBase, meta] of hostMeta.entries()) {
+      hosts[badBase] = { host: meta.host, lastUsed: meta.lastUsed || 0, ...mappingFields(meta) };
+    }
+    const urls = {};
+    for (const record of await STORE.getAll('urls')) {
+      if (!urls[record.series]) urls[record.series] = {};
+      urls[record.series][record.badUrl] = { fixedUrl: record.fixedUrl, lastUsed: record.lastUsed || 0, ...mappingFields(record) };
+    }
+    const stats = {};
+    for (const [host, meta] of hostStats.entries()) {
+      stats[host] = { hits: meta.hits || 0, fails: meta.fails || 0, lastUsed: meta.lastUsed || 0, lat: meta.lat || [] };
+    }
+    return { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: nowMs(), hosts, urls, stats };
+  }
+
+  // Every entry is checked before anything changes, so a bad file never half-applies.
+  // Host mappings need CDN bases on both ends and URL mappings CDN URLs, since either
+  // ends up as an image src; anything else is skipped and counted as rejected.
+  function validateImport(data) {
+    const section = (value) => (value && typeof value === 'object' ? value : {});
+    const isEntry = (entry) => !!entry && typeof entry === 'object';
+    const valid = { hosts: [], urls: [], stats: [] };
+    let rejected = 0;
+
+    for (const [badBase, entry] of Object.entries(section(data.hosts))) {
+      if (BASE_RE.test(badBase) && isEntry(entry) && isKnownHostTuple(entry.host)) {
+        valid.hosts.push([badBase, entry]);
+      } else {
+        rejected++;
+      }
+    }
+
+    for (const [rawSeries, urls] of Object.entries(section(data.urls))) {
+      for (const [badUrl, entry] of Object.entries(section(urls))) {
+        if (CDN_URL_RE.test(badUrl) && isEntry(entry) && typeof entry.fixedUrl === 'string' && CDN_URL_RE.test(entry.fixedUrl)) {
+          valid.urls.push([seriesKey(rawSeries), badUrl, entry]);
+        } else {
+          rejected++;
+        }
+      }
+    }
+
+    for (const [host, entry] of Object.entries(section(data.stats))) {
+      if (HOST_RE.test(host) && isEntry(entry)) valid.stats.push([host, entry]);
+      else rejected++;
+    }
+    return { valid, rejected };
+  }
+
+  // Entries merge like a content script's report: a strictly newer lastUsed wins. Stats
+  // are snapshots rather than deltas here, so they follow lastUsed too instead of being
+  // added up. Replace drops the current hosts, URLs and stats first.
+  async function importDatabase(data, mode) {
+    if (!data || typeof data !== 'object' || data.format !== EXPORT_FORMAT) {
+      return { ok: false, error: 'Not a host database export.' };
+    }
+    if (data.version !== EXPORT_VERSION) return { ok: false, error: `Unsupported export version ${data.version}.` };
+    const { valid, rejected } = validateImport(data);
+
+    await loadHealth();
+    await persistHealthNow();
+    if (mode === 'replace') {
+      await STORE.clear(['hosts', 'urls', 'stats']);
+      hostMeta.clear();
+      hostStats.clear();
+      urlPartitions.clear();
+      await removeRedirectRules(() => true);
+    }
+
+    const counts = { hosts: 0, urls: 0, stats: 0, rejected };
+    for (const [badBase, entry] of valid.hosts) {
+      const prev = hostMeta.get(badBase);
+      if (prev && (prev.lastUsed || 0) >= numberOr(entry.lastUsed, 0)) continue;
+      mergeHostEntry(badBase, entry);
+      const meta = hostMeta.get(badBase);
+      if (meta === prev) continue;
+      markDirty('hosts', badBase);
+      installRedirectRule(badBase, tupleBase(meta.host));
+      counts.hosts++;
+    }
+
+    for (const [series, badUrl, entry] of valid.urls) {
+      await loadSeries(series);
+      const partition = partitionFor(series);
+      const prev = partition.get(badUrl);
+      if (prev && (prev.lastUsed || 0) >= numberOr(entry.lastUsed, 0)) continue;
+      mergeUrlEntry(partition, badUrl, entry);
+      if (partition.get(badUrl) === prev) continue;
+      markUrlDirty(series, badUrl);
+      counts.urls++;
+    }
+
+    for (const [host, entry] of valid.stats) {
+      const prev = hostStats.get(host);
+      if (prev && (prev.lastUsed || 0) >= numberOr(entry.lastUsed, 0)) continue;
+      hostStats.delete(host);
+      mergeStatsDelta(host, entry);
+      markDirty('stats', host);
+      counts.stats++;
+    }
+
+    await persistHealthNow();
+    return { ok: true, ...counts };
+  }
+
+  function isExtensionPage(sender) {
+    return !!sender && typeof sender.url === 'string' && sender.url.startsWith(chrome.runtime.getURL(''));
+  }
+
+  // Swarm events only travel through here, so the background forwards them to every
+  // other tab running the fixer. host_permissions cover every content-script origin,
+  // which lets the url filter see all of those tabs without the "tabs" permission.
+  function isRelayableSwarmEvent(event) {
+    if (!event || typeof event !== 'object' || typeof event.id !== 'string') return false;
+    if (event.kind === 'win') return BASE_RE.test(event.badBase) && isKnownHostTuple(event.tuple);
+    return event.kind === 'breakers' && !!event.breakers && typeof event.breakers === 'object';
+  }
+
+  async function relaySwarmEvent(event, fromTabId) {
+    if (!isRelayableSwarmEvent(event) || !chrome.tabs) return;
+    let tabs = [];
+    try {
+      tabs = await chrome.tabs.query({ url: contentScriptMatches() });
+    } catch {
+      return;
+    }
+    for (const tab of tabs) {
+      if (typeof tab.id !== 'number' || tab.id === fromTabId) continue;
+      chrome.tabs.sendMessage(tab.id, { type: 'swarm:event', event }).catch(() => {});
+    }
+  }
+
+  async function isEarlyInterceptEnabled() {
+    try {
+      const stored = await chrome.storage.local.get(SETTINGS.SETTINGS_KEY);
+      return SETTINGS.resolveSettings(stored ? stored[SETTINGS.SETTINGS_KEY] : null).EARLY_INTERCEPT === true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Early interception re-registers the manifest's content scripts at document_start.
+  // The idle-time copies still run afterwards; fixer.js ignores the second injection.
+  async function applyEarlyContentScripts() {
+    if (!chrome.scripting || !chrome.scripting.registerContentScripts) return;
+    const enabled = await isEarlyInterceptEnabled();
+    try {
+      const registered = await chrome.scripting.getRegisteredContentScripts();
+      const ids = registered.map(s => s.id).filter(id => id.startsWith(EARLY_SCRIPT_ID_PREFIX));
+      if (ids.length) await chrome.scripting.unregisterContentScripts({ ids });
+      if (!enabled) return;
+
+      const scripts = (chrome.runtime.getManifest().content_scripts || []).map((cs, i) => ({
+        id: `${EARLY_SCRIPT_ID_PREFIX}${i}`,
+        matches: cs.matches || [],
+        js: cs.js || [],
+        allFrames: !!cs.all_frames,
+        runAt: 'document_start'
+      }));
+      await chrome.scripting.registerContentScripts(scripts);
+    } catch {
+    }
+  }
+
+  function syncEarlyContentScripts() {
+    earlyScriptsQueue = earlyScriptsQueue.then(applyEarlyContentScripts).catch(() => {});
+    return earlyScriptsQueue;
+  }
+
+  chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+    if (!msg || typeof msg.type !== 'string') return false;
+
+    if (msg.type === 'hostHealth:get') {
+      const series = seriesKey(msg.series);
+      const loaded = loadHealth().then(() => Promise.all([loadSeries(''), loadSeries(series)]));
+      Promise.all([loaded, loadRedirectRules()]).then(() => {
+        sendResponse({ ...snapshotHealth(series), redirects: redirectSnapshot() });
+      });
+      return true;
+    }
+
+    if (msg.type === 'hostHealth:report') {
+      const series = seriesKey(msg.report && msg.report.series);
+      loadHealth().then(() => loadSeries(series)).then(() => {
+        applyReport(msg.report);
+        // Answer once the report's rule installs settle so the tab only marks bases the
+        // background actually redirects.
+        return redirectQueue;
+      }).then(() => {
+        sendResponse({ ok: true, redirects: redirectSnapshot() });
+      });
+      return true;
+    }
+
+    if (msg.type === 'store:importLegacy') {
+      loadHealth().then(() => loadSeries('')).then(async () => {
+        importLegacyPageCache(msg);
+        await persistHealthNow();
+        sendResponse({ ok: true });
+      }).catch(() => sendResponse({ ok: false }));
+      return true;
+    }
+
+    if (msg.type === 'store:export') {
+      if (!isExtensionPage(sender)) return false;
+      exportDatabase().then(sendResponse).catch(() => sendResponse(null));
+      return true;
+    }
+
+    if (msg.type === 'store:import') {
+      if (!isExtensionPage(sender)) return false;
+      importDatabase(msg.data, msg.mode === 'replace' ? 'replace' : 'merge')
+        .then(sendResponse)
+        .catch(() => sendResponse({ ok: false, error: 'Could not write the imported database.' }));
+      return true;
+    }
+
+    if (msg.type === 'tabStats:update') {
+      const tab = sender && sender.tab;
+      if (!tab || typeof tab.id !== 'number') return false;
+      setTabStats(tab.id, sanitizeTabStats(msg.stats, tab)).then(() => sendResponse({ ok: true }));
+      return true;
+    }
+
+    if (msg.type === 'tabStats:get') {
+      if (typeof msg.tabId !== 'number') return false;
+      getTabStats(msg.tabId).then(stats => sendResponse(stats)).catch(() => sendResponse(null));
+      return true;
+    }
+
+    if (msg.type === 'swarm:announce') {
+      relaySwarmEvent(msg.event, sender && sender.tab ? sender.tab.id : null);
+      return false;
+    }
+
+    if (msg.type === 'redirect:targetFailed') {
+      const targetBase = typeof msg.targetBase === 'string' ? msg.targetBase : '';
+      removeRedirectRules((badBase, meta) => meta.target === targetBase)
+        .then(() => sendResponse({ ok: true }));
+      return true;
+    }
+
+    return false;
+  });
+
+  if (chrome.tabs) {
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      clearTabStats(tabId);
+    });
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+      if (changeInfo && changeInfo.status === 'loading') clearTabStats(tabId);
+    });
+  }
+
+  if (chrome.alarms) {
+    chrome.alarms.create(REDIRECT_PRUNE_ALARM, { periodInMinutes: REDIRECT_PRUNE_PERIOD_MINUTES });
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (!alarm || alarm.name !== REDIRECT_PRUNE_ALARM) return;
+      const now = nowMs();
+      removeRedirectRules((badBase, meta) => (meta.expiresAt || 0) <= now);
+      STORE.pruneUrls(URL_STORE_MAX).catch(() => {});
+    });
+  }
+
+  if (chrome.storage && chrome.storage.onChanged) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !changes[SETTINGS.SETTINGS_KEY]) return;
+      syncEarlyContentScripts();
+      loadKnownRoots();
+    });
+  }
+
+  chrome.runtime.onInstalled.addListener(() => {
+    syncEarlyContentScripts();
+  });
+  if (chrome.runtime.onStartup) {
+    chrome.runtime.onStartup.addListener(() => {
+      syncEarlyContentScripts();
+    });
+  }
+
+  loadHealth();
+  loadRedirectRules();
+
+})();
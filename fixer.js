@@ -1,138 +1,206 @@
 (() => {
-  
-  const PROBE_TIMEOUT = 8000; 
-  const MAX_ATTEMPTS = 30;
+
+  // With early interception on, the background also injects this script at document_start;
+  // the manifest's idle-time copy then finds the engine already running.
+  if (globalThis.batoFixerEngineStarted) return;
+  globalThis.batoFixerEngineStarted = true;
+
   const MAX_SERVER_NUM = 15;
-  const RETRY_DELAY = 700; 
-  const CHECK_DELAY = 200;
-  const K_PREEMPTIVE_VERIFY_DELAY = 800;
+  const RETRY_DELAY = 700;
+  const RETRY_BACKOFF_FACTOR = 3;
+  const RETRY_MAX_DELAY = 10 * 60 * 1000;
   const ERROR_EVENT_DEBOUNCE = 100;
   const ATTR_CHANGE_RESCAN_DELAY = 500;
-  const PERSIST_DEBOUNCE_DELAY = 250;
 
-  const SLOW_LOAD_PREEMPT_DELAY = 1400;
+  const VIEWPORT_ROOT_MARGIN = '50% 0px 50% 0px';
+  const OFFSCREEN_BATCH_SIZE = 8;
+  const OFFSCREEN_BATCH_DELAY = 250;
+
   const SLOW_LOAD_PREEMPT_TRIES = 4;
 
-  const PROBE_PARALLEL = 3;
   const PROBE_PARALLEL_TRIES = 9;
+  const RETRY_ROUND_PROBES = 6;
 
+  // Per-origin caches from before the background kept them in IndexedDB; imported once.
   const STORAGE_KEY = 'batoFixCacheV1';
-  const CACHE_VERSION = 3;
-  const HOST_CACHE_MAX = 250;
-  const URL_CACHE_MAX = 800;
-
   const BEST_HOST_STATS_KEY = 'batoBestFullHostStatsV1';
-  const BEST_HOST_STATS_MAX = 250;
+  const DISCOVERED_ROOTS_KEY = 'batoDiscoveredRootsV1';
+  const CANDIDATE_HISTORY_KEY = 'batoCandidateHistoryV1';
+  const BREAKER_KEY = 'batoHostBreakersV1';
+  const DECOY_KEY = 'batoDecoyFingerprintsV1';
+
+  const MAPPING_TTL_MIN = 6 * 60 * 60 * 1000;
+  const MAPPING_TTL_MAX = 14 * 24 * 60 * 60 * 1000;
+  const MAPPING_CONFIDENCE_START = 0.5;
+  const MAPPING_MIN_CONFIDENCE = 0.25;
+  const MAPPING_CONFIRM_INTERVAL = 10 * 60 * 1000;
+  const MAPPING_DROP_FAILS = 3;
+  const REVALIDATE_TIMEOUT = 4000;
+
+  const DECOY_MAX = 50;
+  const DECOY_MIN_HITS = 2;
+  const DECOY_SIBLINGS_MIN = 2;
+  const DECOY_SHRINK_RATIO = 0.5;
+  const DECOY_ASPECT_TOLERANCE = 0.25;
+  const CHAPTER_SHAPES_MAX = 24;
+
+  const SWARM_SEEN_EVENTS_MAX = 200;
+  const SWARM_BREAKER_BATCH_DELAY = 1000;
+
+  const BREAKER_MAX = 300;
+  const BREAKER_BASE_TIMEOUT = 15000;
+  const BREAKER_BASE_ERROR = 60000;
+  const BREAKER_MAX_BACKOFF = 6 * 60 * 60 * 1000;
+
+  const LATENCY_SAMPLES_MAX = 16;
+  const LATENCY_REFERENCE_MS = 1000;
+  const LATENCY_UNKNOWN_MS = 1500;
+  const LATENCY_PREFER_RATIO = 0.5;
+  const LATENCY_GRACE_MAX = 600;
+  const HEALTHY_HOST_MIN_HITS = 3;
+  const HEALTHY_HOST_MIN_SCORE = 0.7;
+
+  const HOST_RE = /^[a-z]+\d{1,3}\.[a-z0-9\-]+\.(org|net|to)$/i;
+
+  const DISCOVERED_ROOTS_MAX = 60;
+
+  const CANDIDATE_HISTORY_MAX = 400;
+  const CANDIDATE_HISTORY_MIN_SAMPLES = 12;
+  const UCB_EXPLORATION = 0.2;
+
+  const HEALTH_REPORT_DELAY = 1000;
+  const HEALTH_PULL_TIMEOUT = 400;
+  const TAB_STATS_REPORT_DELAY = 500;
+  const TAB_STATS_TOP_HOSTS = 8;
+
+  // Per-site-family tables come from the site-*.js script injected before this one.
+  // Built-in values, bounds and options-page overrides are resolved through settings.js.
+  const SITE = (globalThis.batoFixerSite && typeof globalThis.batoFixerSite === 'object') ? globalThis.batoFixerSite : {};
+  const SETTINGS = globalThis.batoFixerSettings;
+
+  // Everything the engine takes from its surroundings: image probes, storage, timers,
+  // randomness and the DOM. Pages get the browser's own; a harness can set
+  // globalThis.batoFixerEnv first to run the engine somewhere else (test/support/ runs
+  // it in Node against a simulated CDN on a virtual clock).
+  const ENV = { ...browserEnv(), ...(globalThis.batoFixerEnv || {}) };
+  const DOC = ENV.document;
+  const WIN = ENV.window;
+
+  function browserEnv() {
+    return {
+      document: globalThis.document,
+      window: globalThis.window,
+      // Wrapped so a page that denies storage throws on use, inside the callers' try.
+      storage: {
+        getItem: key => localStorage.getItem(key),
+        setItem: (key, value) => localStorage.setItem(key, value),
+        removeItem: key => localStorage.removeItem(key)
+      },
+      setTimeout: (fn, ms) => setTimeout(fn, ms),
+      clearTimeout: id => clearTimeout(id),
+      requestIdleCallback: typeof requestIdleCallback === 'function' ? requestIdleCallback.bind(globalThis) : null,
+      now: () => Date.now(),
+      perfNow: () => (typeof performance === 'object' ? performance.now() : Date.now()),
+      random: () => Math.random(),
+      MutationObserver: globalThis.MutationObserver,
+      IntersectionObserver: globalThis.IntersectionObserver,
+      loadImage: loadProbeImage,
+      // Real page loads report their duration through Resource Timing.
+      loadDuration: (url) => {
+        const entries = performance.getEntriesByName(url);
+        const entry = entries && entries[entries.length - 1];
+        return entry ? entry.duration : null;
+      }
+    };
+  }
 
-  const PREFIX_PRIORITY_MB = ['n', 's', 'b', 'd'];
-  const PREFIX_PRIORITY_MP = ['n', 's', 'b', 'd'];
+  let PROBE_TIMEOUT = 0;
+  let MAX_ATTEMPTS = 0;
+  let PROBE_PARALLEL = 0;
+  let PROBE_GLOBAL_CAP = 0;
+  let PROBE_HOST_CAP = 0;
+  let PROBE_HOST_INTERVAL = 0;
+  let SLOW_LOAD_PREEMPT_DELAY = 0;
+  let RETRY_MAX_ATTEMPTS = 0;
+  let EARLY_INTERCEPT = false;
+  let DIAGNOSTICS = false;
+
+  let ALL_ROOTS = [];
+  let KNOWN_ROOTS = new Set();
+  let ALL_ROOT_ENTRIES = [];
+  let BEST_FULL_HOSTS = [];
+
+  let PREFIX_PRIORITY_MB = [];
+  let PREFIX_PRIORITY_MP = [];
+  let PREFERRED_NUM_ORDER_MB = [];
+  let PREFERRED_NUM_ORDER_MP = [];
+  let ROOT_PRIORITY_MB = [];
+  let ROOT_PRIORITY_MP = [];
+
+  const DEFAULT_PREFIX_PRIORITY = ['n', 's', 'b', 'd'];
   const EXTRA_PREFIXES = ['x', 't', 'w', 'm', 'c', 'u', 'k'];
 
-  const BEST_FULL_HOSTS = `
-    b01.mbimg.org b01.mbmyj.org b01.mbrtz.org b01.mbtba.org b01.mbwnp.org b01.mbxma.org b01.mbznp.org
-    d01.mbdny.org d01.mbimg.org d01.mbmyj.org d01.mbuul.org
-    n00.mbdny.org n00.mbqgu.org n00.mbuul.org n00.mbwnp.org
-    n01.mbdny.org n01.mbopg.org n01.mbwww.org n01.mbxma.org
-    n02.mbeaj.org n02.mbmyj.org n02.mbtmv.org n02.mbwbm.org n02.mbxma.org
-    n03.mbhiz.org
-    n04.mbdny.org n04.mbeaj.org n04.mbhiz.org n04.mbimg.org n04.mbqgu.org n04.mbtmv.org n04.mbxma.org n04.mbzcp.org n04.mbznp.org
-    n05.mbimg.org n05.mbmyj.org n05.mbuul.org n05.mbznp.org
-    n06.mbeaj.org n06.mbrtz.org n06.mbwbm.org n06.mbwww.org
-    n07.mbmyj.org n07.mbopg.org n07.mbqgu.org n07.mbrtz.org n07.mbtba.org n07.mbtmv.org n07.mbwnp.org n07.mbxma.org
-    n08.mbhiz.org
-    n09.mbfpu.org n09.mbhiz.org n09.mbzcp.org
-    n10.mbfpu.org n10.mbuul.org n10.mbwnp.org n10.mbwww.org n10.mbzcp.org n10.mbznp.org
-    n11.mbopg.org n11.mbwnp.org n11.mbwww.org n11.mbxma.org
-    n12.mbfpu.org n12.mbwbm.org
-    n14.mbmyj.org n14.mbxma.org
-    n15.mbfpu.org
-    s00.mpubn.org s03.mpqsc.org s03.mpypl.org s05.mpfip.org s06.mpqsc.org s06.mprnm.org s07.mpfip.org s09.mpfip.org s09.mpubn.org s10.mpmok.org s10.mprnm.org
-  `.trim().split(/\s+/);
-
-  const bestHostStats = new Map();
-  let bestHostStatsTimer = null;
-
-  const bestHostPreflightPromises = new Map();
-
-  function pruneBestHostStats(maxEntries) {
-    if (bestHostStats.size <= maxEntries) return;
-    const entries = Array.from(bestHostStats.entries());
-    entries.sort((a, b) => (a[1].lastUsed || 0) - (b[1].lastUsed || 0));
-    const toRemove = entries.slice(0, Math.max(0, bestHostStats.size - maxEntries));
-    for (const [k] of toRemove) bestHostStats.delete(k);
+  function applySettings(stored) {
+    const resolved = SETTINGS.resolveSettings(stored, SITE);
+
+    PROBE_TIMEOUT = resolved.PROBE_TIMEOUT;
+    MAX_ATTEMPTS = resolved.MAX_ATTEMPTS;
+    PROBE_PARALLEL = resolved.PROBE_PARALLEL;
+    PROBE_GLOBAL_CAP = resolved.PROBE_GLOBAL_CAP;
+    PROBE_HOST_CAP = resolved.PROBE_HOST_CAP;
+    PROBE_HOST_INTERVAL = resolved.PROBE_HOST_INTERVAL;
+    SLOW_LOAD_PREEMPT_DELAY = resolved.SLOW_LOAD_PREEMPT_DELAY;
+    RETRY_MAX_ATTEMPTS = resolved.RETRY_MAX_ATTEMPTS;
+    EARLY_INTERCEPT = resolved.EARLY_INTERCEPT;
+    DIAGNOSTICS = resolved.DIAGNOSTICS;
+
+    ALL_ROOTS = resolved.ALL_ROOTS;
+    KNOWN_ROOTS = SETTINGS.knownRoots(stored, SITE);
+    ALL_ROOT_ENTRIES = ALL_ROOTS.map(rootEntry).filter(Boolean);
+    BEST_FULL_HOSTS = resolved.BEST_FULL_HOSTS;
+
+    PREFIX_PRIORITY_MB = resolved.PREFIX_PRIORITY_MB || DEFAULT_PREFIX_PRIORITY;
+    PREFIX_PRIORITY_MP = resolved.PREFIX_PRIORITY_MP || DEFAULT_PREFIX_PRIORITY;
+    PREFERRED_NUM_ORDER_MB = resolved.PREFERRED_NUM_ORDER_MB || [];
+    PREFERRED_NUM_ORDER_MP = resolved.PREFERRED_NUM_ORDER_MP || [];
+    ROOT_PRIORITY_MB = resolved.ROOT_PRIORITY_MB || ALL_ROOTS;
+    ROOT_PRIORITY_MP = resolved.ROOT_PRIORITY_MP || ALL_ROOTS;
   }
 
-  function loadBestHostStats() {
-    try {
-      const raw = localStorage.getItem(BEST_HOST_STATS_KEY);
-      if (!raw) return;
-      const parsed = safeJsonParse(raw);
-      if (!parsed || typeof parsed !== 'object') return;
-      const stats = parsed.stats && typeof parsed.stats === 'object' ? parsed.stats : {};
-      for (const [host, entry] of Object.entries(stats)) {
-        if (!host || typeof host !== 'string') continue;
-        if (!BEST_FULL_HOSTS.includes(host)) continue;
-        if (!entry || typeof entry !== 'object') continue;
-        const hits = typeof entry.hits === 'number' ? entry.hits : 0;
-        const fails = typeof entry.fails === 'number' ? entry.fails : 0;
-        const lastUsed = typeof entry.lastUsed === 'number' ? entry.lastUsed : 0;
-        bestHostStats.set(host, {
-          hits: Math.max(0, hits),
-          fails: Math.max(0, fails),
-          lastUsed
-        });
-      }
-      pruneBestHostStats(BEST_HOST_STATS_MAX);
-    } catch {
-    }
-  }
+  applySettings(null);
 
-  function persistBestHostStatsNow() {
-    try {
-      pruneBestHostStats(BEST_HOST_STATS_MAX);
-      const statsObj = {};
-      for (const [host, meta] of bestHostStats.entries()) {
-        statsObj[host] = {
-          hits: meta.hits || 0,
-          fails: meta.fails || 0,
-          lastUsed: meta.lastUsed || 0
-        };
-      }
-      const payload = {
-        version: 1,
-        savedAt: nowMs(),
-        stats: statsObj
-      };
-      localStorage.setItem(BEST_HOST_STATS_KEY, JSON.stringify(payload));
-    } catch {
-    }
-  }
+  const bestHostStats = new Map();
 
-  function scheduleBestHostStatsPersist() {
-    try {
-      if (bestHostStatsTimer) return;
-      bestHostStatsTimer = setTimeout(() => {
-        bestHostStatsTimer = null;
-        persistBestHostStatsNow();
-      }, PERSIST_DEBOUNCE_DELAY);
-    } catch {
-    }
-  }
+  const bestHostPreflightPromises = new Map();
 
   function getBestHostMeta(host) {
     const existing = bestHostStats.get(host);
     if (existing) return existing;
-    const meta = { hits: 0, fails: 0, lastUsed: 0 };
+    const meta = { hits: 0, fails: 0, lastUsed: 0, lat: [] };
     bestHostStats.set(host, meta);
     return meta;
   }
 
-  function recordBestHostSuccess(host) {
+  function sanitizeLatencies(lat) {
+    if (!Array.isArray(lat)) return [];
+    return lat
+      .filter(v => typeof v === 'number' && Number.isFinite(v) && v >= 0)
+      .map(v => Math.round(v))
+      .slice(-LATENCY_SAMPLES_MAX);
+  }
+
+  function recordBestHostSuccess(host, latencyMs = null) {
     if (!host) return;
     const meta = getBestHostMeta(host);
     meta.hits = (meta.hits || 0) + 1;
     meta.lastUsed = nowMs();
-    scheduleBestHostStatsPersist();
+    confirmMappingsTo(host);
+    let sample = null;
+    if (typeof latencyMs === 'number' && Number.isFinite(latencyMs) && latencyMs >= 0) {
+      sample = Math.round(latencyMs);
+      meta.lat = [...(meta.lat || []), sample].slice(-LATENCY_SAMPLES_MAX);
+    }
+    queueStatsReport(host, 'hits', sample);
   }
 
   function recordBestHostFailure(host, reason) {
@@ -141,7 +209,8 @@
     const meta = getBestHostMeta(host);
     meta.fails = (meta.fails || 0) + 1;
     meta.lastUsed = nowMs();
-    scheduleBestHostStatsPersist();
+    doubtMappingsTo(host, meta);
+    queueStatsReport(host, 'fails');
   }
 
   function bestHostScore(meta) {
@@ -151,6 +220,52 @@
     return (hits + 1) / (hits + fails + 2);
   }
 
+  function latencyPercentile(meta, q) {
+    const lat = meta && Array.isArray(meta.lat) ? meta.lat : [];
+    if (lat.length === 0) return null;
+    const sorted = lat.slice().sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  }
+
+  function effectiveLatency(meta) {
+    const p50 = latencyPercentile(meta, 0.5);
+    if (p50 === null) return LATENCY_UNKNOWN_MS;
+    return 0.7 * p50 + 0.3 * latencyPercentile(meta, 0.9);
+  }
+
+  // 1 for a host we have no timings for; above 1 for fast hosts, below 1 for slow ones.
+  function latencyFactor(meta) {
+    const factor = (ms) => LATENCY_REFERENCE_MS / (LATENCY_REFERENCE_MS + ms);
+    return factor(effectiveLatency(meta)) / factor(LATENCY_UNKNOWN_MS);
+  }
+
+  function hostHealthScore(meta) {
+    return bestHostScore(meta) * latencyFactor(meta);
+  }
+
+  function isKnownHealthyHost(host) {
+    const meta = bestHostStats.get(host);
+    if (!meta || (meta.hits || 0) < HEALTHY_HOST_MIN_HITS) return false;
+    if (bestHostScore(meta) < HEALTHY_HOST_MIN_SCORE) return false;
+    return !isTemporarilyFailedHost(`https://${host}`);
+  }
+
+  function hostOfUrl(url) {
+    return hostBaseFromUrl(url).replace(/^https?:\/\//, '');
+  }
+
+  // Real page loads report their duration through Resource Timing, so no extra request is needed.
+  function recordImageLoadLatency(img) {
+    try {
+      const url = img.currentSrc || img.src;
+      if (!parseSubdomain(url)) return;
+      const duration = ENV.loadDuration(url);
+      if (!(duration > 0)) return;
+      recordBestHostSuccess(hostOfUrl(url), duration);
+    } catch {
+    }
+  }
+
   function pickBestHostByStats(hosts) {
     const pool = Array.isArray(hosts) ? hosts : [];
     if (pool.length === 0) return null;
@@ -167,7 +282,7 @@
     let bestHits = -1;
     for (const host of candidates) {
       const meta = bestHostStats.get(host) || { hits: 0, fails: 0, lastUsed: 0 };
-      const score = bestHostScore(meta);
+      const score = hostHealthScore(meta);
       const hits = meta.hits || 0;
       if (score > bestScore || (score === bestScore && hits > bestHits)) {
         bestScore = score;
@@ -178,13 +293,186 @@
       }
     }
     if (best.length === 0) return null;
-    return best[Math.floor(Math.random() * best.length)];
+    return best[Math.floor(ENV.random() * best.length)];
+  }
+
+  // Roots seen serving real images that are not in ALL_ROOTS yet. Their place in
+  // getRootOrder is earned from hits/fails rather than a hand-maintained list.
+  const discoveredRoots = new Map();
+
+  function isPageOwnRoot(key) {
+    try {
+      const host = WIN.location.hostname.toLowerCase();
+      return host === key || host.endsWith(`.${key}`);
+    } catch {
+      return false;
+    }
+  }
+
+  // Only successes can introduce a root; failures just count against one we already track.
+  function noteRootOutcome(url, field) {
+    const p = parseSubdomain(String(url || ''));
+    if (!p) return;
+    const key = `${p.root}.${p.tld}`;
+    if (ALL_ROOTS.includes(key) || isPageOwnRoot(key)) return;
+    if (!getPrefixOrder(p).includes(p.prefix)) return;
+
+    let meta = discoveredRoots.get(key);
+    if (!meta) {
+      if (field !== 'hits') return;
+      meta = { hits: 0, fails: 0, lastUsed: 0 };
+      discoveredRoots.set(key, meta);
+    }
+    meta[field] = (meta[field] || 0) + 1;
+    meta.lastUsed = nowMs();
+    pruneMetaMap(discoveredRoots, DISCOVERED_ROOTS_MAX);
+    queueRootReport(key, field);
+  }
+
+  // Success history per candidate dimension, keyed `p:<family>:<prefix>`, `n:<family>:<number>`
+  // and `r:<root>.<tld>`. Prefix and number preferences differ between mb and mp roots, so
+  // those are kept per family; a root is its own family.
+  const candidateHistory = new Map();
+
+  function rootFamily(root) {
+    return isMpRootLabel(root) ? 'mp' : 'mb';
+  }
+
+  function candidateHistoryKeys(p) {
+    const family = rootFamily(p.root);
+    return [`p:${family}:${p.prefix}`, `n:${family}:${p.number}`, `r:${p.root}.${p.tld}`];
+  }
+
+  function noteCandidateOutcome(url, field) {
+    const p = parseSubdomain(String(url || ''));
+    if (!p) return;
+    for (const key of candidateHistoryKeys(p)) {
+      const meta = candidateHistory.get(key) || { hits: 0, fails: 0, lastUsed: 0 };
+      meta[field] = (meta[field] || 0) + 1;
+      meta.lastUsed = nowMs();
+      candidateHistory.set(key, meta);
+      queueHistoryReport(key, field);
+    }
+    pruneMetaMap(candidateHistory, CANDIDATE_HISTORY_MAX);
+  }
+
+  function noteHostOutcome(url, field) {
+    noteRootOutcome(url, field);
+    noteCandidateOutcome(url, field);
+  }
+
+  function historySamples(keyPrefix) {
+    let total = 0;
+    for (const [key, meta] of candidateHistory.entries()) {
+      if (key.startsWith(keyPrefix)) total += (meta.hits || 0) + (meta.fails || 0);
+    }
+    return total;
+  }
+
+  function hasCandidateHistory(parsed) {
+    return historySamples(`p:${rootFamily(parsed.root)}:`) >= CANDIDATE_HISTORY_MIN_SAMPLES;
+  }
+
+  // UCB1 on a Laplace-smoothed hit rate: proven values score high, rarely tried ones
+  // keep an exploration bonus so a newly healthy host still gets its turn.
+  function historyUcb(key, totals) {
+    const meta = candidateHistory.get(key);
+    const hits = meta ? meta.hits || 0 : 0;
+    const fails = meta ? meta.fails || 0 : 0;
+    const n = hits + fails;
+    const total = totals.get(key.slice(0, key.lastIndexOf(':') + 1)) || 0;
+    return (hits + 1) / (n + 2) + UCB_EXPLORATION * Math.sqrt(Math.log(total + 1) / (n + 1));
+  }
+
+  function candidateScore(p, totals) {
+    let score = 1;
+    for (const key of candidateHistoryKeys(p)) score *= historyUcb(key, totals);
+    const host = `${p.prefix}${String(p.number).padStart(2, '0')}.${p.root}.${p.tld}`;
+    return score * latencyFactor(bestHostStats.get(host));
+  }
+
+  function rankCandidatesByHistory(parsed, quotaCandidates) {
+    const totals = new Map();
+    const totalFor = (keyPrefix) => {
+      if (!totals.has(keyPrefix)) totals.set(keyPrefix, historySamples(keyPrefix));
+      return totals.get(keyPrefix);
+    };
+    for (const family of ['mb', 'mp']) {
+      totalFor(`p:${family}:`);
+      totalFor(`n:${family}:`);
+    }
+    totals.set('r:', historySamples('r:'));
+
+    const originalUrl = `${toBase(parsed)}${parsed.path}`;
+    const staticRank = new Map();
+    quotaCandidates.forEach((url, i) => staticRank.set(url, i));
+
+    // Widen the pool with the best-scoring values per root so a host that keeps
+    // winning is reachable even when the static quotas would never generate it.
+    const byUcb = (values, keyOf) => values
+      .map(v => ({ v, s: historyUcb(keyOf(v), totals) }))
+      .sort((a, b) => b.s - a.s)
+      .map(x => x.v);
+
+    const prefixOrder = getPrefixOrder(parsed);
+    const numberOrder = getNumberOrder(parsed);
+    const roots = byUcb(getRootOrder(parsed), r => `r:${r.root}.${r.tld}`).slice(0, 12);
+    for (const r of roots) {
+      const family = rootFamily(r.root);
+      const prefixes = byUcb(prefixOrder, v => `p:${family}:${v}`).slice(0, 3);
+      const numbers = byUcb(numberOrder, v => `n:${family}:${v}`).slice(0, 4);
+      for (const p of prefixes) {
+        for (const n of numbers) {
+          const url = `https://${p}${String(n).padStart(2, '0')}.${r.root}.${r.tld}${parsed.path}`;
+          if (url === originalUrl || staticRank.has(url)) continue;
+          staticRank.set(url, quotaCandidates.length + staticRank.size);
+        }
+      }
+    }
+
+    const scored = [];
+    for (const [url, rank] of staticRank.entries()) {
+      const p = parseSubdomain(url);
+      if (p) scored.push({ url, rank, score: candidateScore(p, totals) });
+    }
+    scored.sort((a, b) => (b.score - a.score) || (a.rank - b.rank));
+
+    // A server already proven for this exact path stays in front.
+    const out = [];
+    const cached = serverCache.get(serverCacheKey(parsed));
+    if (cached) out.push(`${tupleBase(cached)}${parsed.path}`);
+    for (const { url } of scored) {
+      if (out.length >= MAX_ATTEMPTS) break;
+      if (!out.includes(url)) out.push(url);
+    }
+    return out;
+  }
+
+  function insertDiscoveredRoots(entries, parsed) {
+    const out = entries.slice();
+    const present = new Set(out.map(r => `${r.root}.${r.tld}`));
+    present.add(`${parsed.root}.${parsed.tld}`);
+
+    const learned = [];
+    for (const [key, meta] of discoveredRoots.entries()) {
+      if (present.has(key)) continue;
+      const entry = rootEntry(key);
+      if (entry) learned.push({ entry, score: bestHostScore(meta) });
+    }
+    learned.sort((a, b) => b.score - a.score);
+
+    // A root that always answers lands near the front; an unproven one in the middle.
+    for (const { entry, score } of learned) {
+      const at = Math.min(out.length, Math.max(0, Math.round((1 - score) * out.length)));
+      out.splice(at, 0, entry);
+    }
+    return out;
   }
 
   function pickRandomDistinct(arr, count) {
     const a = Array.isArray(arr) ? arr.slice() : [];
     for (let i = a.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(ENV.random() * (i + 1));
       const tmp = a[i];
       a[i] = a[j];
       a[j] = tmp;
@@ -205,22 +493,21 @@
       const url = `https://${host}${parsed.path}`;
       try {
         const timeout = Math.min(PROBE_TIMEOUT, 3500);
-        await probeUrl(url, timeout);
+        await probeUrl(url, timeout, toBase(parsed));
         const okParsed = parseSubdomain(url);
         if (!okParsed) continue;
-        recordBestHostSuccess(host);
         return toHostTuple(okParsed);
-      } catch (e) {
-        recordBestHostFailure(host, e);
+      } catch {
       }
     }
     return null;
   }
 
   function isInOrNearViewport(el) {
+    if (viewportObserver && observedImages.has(el)) return nearViewportImages.has(el);
     try {
       const r = el.getBoundingClientRect();
-      const vh = Math.max(1, window.innerHeight || 1);
+      const vh = Math.max(1, WIN.innerHeight || 1);
       return r.bottom > -vh * 0.5 && r.top < vh * 1.5;
     } catch {
       return true;
@@ -249,6 +536,7 @@
 
   function commitSwarmWin(badBase, tuple, parsed, mpStrict = false) {
     swarmHostMap.set(badBase, tuple);
+    leaderFailures.delete(badBase);
 
     if (isMpRootLabel(parsed.root) && (!mpStrict || isMpRootLabel(tuple.root))) {
       setMpFamilyWinner(tuple);
@@ -256,12 +544,13 @@
     }
 
     const updatedImgs = broadcastSwarmFix(badBase, tuple);
-    for (const img of updatedImgs) setTimeout(() => checkImage(img), CHECK_DELAY);
+    for (const img of updatedImgs) verifyImage(img);
+    retryRelatedTo(badBase);
+    announceSwarmEvent({ kind: 'win', badBase, tuple, mpStrict });
 
-    setTimeout(() => {
+    ENV.setTimeout(() => {
       try {
-        persistentHostMeta.set(badBase, { host: tuple, lastUsed: nowMs() });
-        schedulePersist();
+        rememberWin(badBase, tuple);
       } catch {
       }
       try {
@@ -273,19 +562,115 @@
     return tuple;
   }
 
+  // Other tabs reading the same series hit the same dead hosts. Winners and breaker
+  // changes go through the background, which relays them to every other tab; page
+  // scripts can neither read nor forge that path, as they could a BroadcastChannel.
+  // Breaker changes are batched, since a failing round trips dozens of them.
+  const swarmInstanceId = `${nowMs().toString(36)}-${ENV.random().toString(36).slice(2)}`;
+  const seenSwarmEvents = new Set();
+  let swarmEventSeq = 0;
+  let pendingSwarmBreakers = {};
+  let swarmBreakerTimer = null;
+
+  // Tuples taken from other tabs. They steer this tab only and are never reported or
+  // persisted, so a bad one dies with the page.
+  const remoteTuples = new WeakSet();
+
+  function rememberSwarmEvent(id) {
+    if (seenSwarmEvents.has(id)) return false;
+    seenSwarmEvents.add(id);
+    if (seenSwarmEvents.size > SWARM_SEEN_EVENTS_MAX) {
+      seenSwarmEvents.delete(seenSwarmEvents.values().next().value);
+    }
+    return true;
+  }
+
+  function announceSwarmEvent(event) {
+    const msg = { ...event, id: `${swarmInstanceId}:${++swarmEventSeq}` };
+    rememberSwarmEvent(msg.id);
+    sendRuntimeMessage({ type: 'swarm:announce', event: msg });
+  }
+
+  function announceBreaker(cacheKey, b) {
+    pendingSwarmBreakers[cacheKey] = b ? { failures: b.failures, openUntil: b.openUntil, lastUsed: b.lastUsed } : null;
+    if (swarmBreakerTimer) return;
+    swarmBreakerTimer = ENV.setTimeout(() => {
+      swarmBreakerTimer = null;
+      const breakers = pendingSwarmBreakers;
+      pendingSwarmBreakers = {};
+      announceSwarmEvent({ kind: 'breakers', breakers });
+    }, SWARM_BREAKER_BATCH_DELAY);
+  }
+
+  function applyRemoteSwarmWin(badBase, remoteTuple, mpStrict) {
+    const parsed = parseSubdomain(`${badBase}/`);
+    if (!parsed || toBase(parsed) !== badBase || !isKnownHostTuple(remoteTuple)) return;
+    const known = swarmHostMap.get(badBase);
+    if (known && tupleBase(known) === tupleBase(remoteTuple)) return;
+
+    const tuple = { prefix: remoteTuple.prefix, number: remoteTuple.number, root: remoteTuple.root, tld: remoteTuple.tld };
+    remoteTuples.add(tuple);
+    swarmHostMap.set(badBase, tuple);
+    if (isMpRootLabel(parsed.root) && (!mpStrict || isMpRootLabel(tuple.root))) {
+      setMpFamilyWinner(tuple);
+      broadcastMpFamilyPreemptive(tuple);
+    }
+
+    const updatedImgs = broadcastSwarmFix(badBase, tuple, true);
+    for (const img of updatedImgs) verifyImage(img);
+    retryRelatedTo(badBase);
+    try {
+      serverCache.set(serverCacheKey(parsed), tuple);
+    } catch {
+    }
+  }
+
+  function applyRemoteBreaker(cacheKey, entry) {
+    if (!parseSubdomain(`${cacheKey}/`)) return;
+    if (entry === null) {
+      if (!hostBreakers.delete(cacheKey)) return;
+    } else {
+      if (!isBreakerState(entry)) return;
+      const lastUsed = typeof entry.lastUsed === 'number' ? entry.lastUsed : 0;
+      const prev = hostBreakers.get(cacheKey);
+      if (prev && (prev.lastUsed || 0) >= lastUsed) return;
+      hostBreakers.set(cacheKey, { failures: entry.failures, openUntil: entry.openUntil, trialStartedAt: 0, lastUsed });
+    }
+  }
+
+  function handleSwarmEvent(msg) {
+    if (!msg || typeof msg !== 'object' || typeof msg.id !== 'string') return;
+    if (!rememberSwarmEvent(msg.id)) return;
+    if (msg.kind === 'win' && typeof msg.badBase === 'string') {
+      applyRemoteSwarmWin(msg.badBase, msg.tuple, !!msg.mpStrict);
+    } else if (msg.kind === 'breakers' && msg.breakers && typeof msg.breakers === 'object') {
+      for (const [cacheKey, entry] of Object.entries(msg.breakers)) applyRemoteBreaker(cacheKey, entry);
+    }
+  }
+
+  function listenForSwarmEvents() {
+    if (hasExtensionRuntime() && chrome.runtime.onMessage) {
+      chrome.runtime.onMessage.addListener((msg) => {
+        if (msg && msg.type === 'swarm:event') handleSwarmEvent(msg.event);
+        return false;
+      });
+    }
+  }
+
   function scheduleSlowLoadBestHostPreflight(img, parsed) {
     if (!img || !parsed) return;
     if (!BEST_FULL_HOSTS || BEST_FULL_HOSTS.length === 0) return;
-    if (img.dataset.batoSlowPreflight === '1') return;
+    const st = stateOf(img);
+    if (st.slowPreflight) return;
     if (!isInOrNearViewport(img)) return;
 
-    img.dataset.batoSlowPreflight = '1';
+    st.slowPreflight = true;
     const expectedSrc = img.src;
-    setTimeout(async () => {
+    ENV.setTimeout(async () => {
       try {
         if (!img.isConnected) return;
         if (img.src !== expectedSrc) return;
-        if (img.dataset.batoFixed === 'true' || img.dataset.batoFixing === 'done') return;
+        if (st.fixed || st.phase === 'done') return;
         if (applyExactUrlFixIfAny(img)) return;
 
         const p = parseSubdomain(img.src);
@@ -295,61 +680,231 @@
         if (swarmHostMap.has(badBase)) return;
 
         // If it's still not loaded, treat it as high-risk and try the fast preflight.
-        if (img.complete && img.naturalWidth > 0) return;
-        if (!img.complete || (img.complete && img.naturalWidth === 0)) {
-          await bestHostPreflightAndSwarm(p);
-        }
+        if (isImageLoaded(img)) return;
+        await bestHostPreflightAndSwarm(p);
       } catch {
       }
     }, SLOW_LOAD_PREEMPT_DELAY);
   }
 
-  const PREFERRED_NUM_ORDER_MP = [1, 10, 2, 5, 0, 6, 7, 8, 3, 4, 9, 12, 14, 15, 11, 13];
-  const PREFERRED_NUM_ORDER_MB = [1, 0, 9, 2, 8, 7, 5, 4, 3, 10, 6, 11, 12, 15, 14, 13];
-
-  const ROOT_PRIORITY_MP = `
-    mbwww.org mbwbm.org mbuul.org mbfpu.org mbzcp.org mbqgu.org mbxma.org mbeaj.org mbrtz.org mbhiz.org mbopg.org mbdny.org
-    mbznp.org mbwnp.org mbtmv.org mbimg.org mbmyj.org mbtba.org
-    mprnm.org mpubn.org mpfip.org mpmok.org mpypl.org mpizz.org mpujj.org mpvim.org mpqom.org mpqsc.org
-  `.trim().split(/\s+/);
-
-  const ROOT_PRIORITY_MB = `
-    mbqgu.org mbwbm.org mbrtz.org mbdny.org mbopg.org mbwnp.org mbznp.org mbfpu.org mbmyj.org mbwww.org mbzcp.org mbtmv.org
-    mbhiz.org mbuul.org mbxma.org mbeaj.org mbimg.org mpizz.org mbtba.org mpfip.org mpvim.org mpmok.org mpubn.org mprnm.org
-    mpypl.org mpqom.org mpujj.org mpqsc.org
-  `.trim().split(/\s+/);
-
-  const ALL_ROOTS = `
-    mbdny.org mbrtz.org mbwbm.org mbznp.org mbqgu.org mbtba.org mbhiz.org mbwnp.org mbxma.org mbwww.org mbmyj.org
-    mbeaj.org mbzcp.org mbuul.org mbtmv.org mbimg.org mbopg.org mbfpu.org
-    mpfip.org mpizz.org mpmok.org mpqom.org mpqsc.org mprnm.org mpubn.org mpujj.org mpvim.org mpypl.org
-  `.trim().split(/\s+/);
   
   const SUBDOMAIN_RE = /^https?:\/\/([a-z]+)(\d{1,3})\.([a-z0-9\-]+)\.(org|net|to)(\/.*)$/i;
 
   const HOST_REWRITE_RE = /https?:\/\/[a-z]+\d{1,3}\.[a-z0-9\-]+\.(org|net|to)/gi;
+
+  // Requests carrying this parameter are exempt from the background's redirect rules (see
+  // redirect-bypass.json), so restoring an original or probing a redirected base really
+  // reaches that host.
+  const REDIRECT_BYPASS_PARAM = 'bfxOriginal=1';
+  const REDIRECT_BYPASS_STRIP_RE = /([?&])bfxOriginal=1(&|$)/;
+  const CDN_URL_RE = /https?:\/\/[a-z]+\d{1,3}\.[a-z0-9\-]+\.(?:org|net|to)[^\s,]*/gi;
   
   
   const serverCache = new Map();
-  const failedCache = new Map();
+
+  // Circuit breaker per host base: { failures, openUntil, trialStartedAt, lastUsed }.
+  // Open while openUntil is in the future; afterwards half-open, letting one trial probe through.
+  const hostBreakers = new Map();
 
   const swarmHostMap = new Map();
   const swarmLeaderPromises = new Map();
+  // badBase -> { tried, error } from the last leader that ran out of candidates.
+  const leaderFailures = new Map();
 
   let mpFamilyWinnerTuple = null;
   let mpFamilyWaiters = [];
 
   const persistentHostMeta = new Map();
   const persistentUrlMeta = new Map();
-  let persistTimer = null;
+
+  // badBase -> target base for which the background has a network-level redirect rule.
+  const redirectTargets = new Map();
   
   
   const processingImages = new WeakSet();
-  const pendingImages = new Set();
-  let pendingFlushTimer = null;
+
+  // Per-element repair state, kept off the DOM so the reader's own rendering can neither
+  // see nor clobber it.
+  //   phase:      'idle' -> 'fixing' -> 'done' | 'retry' | 'failed'; back to 'idle' when a
+  //               rewrite is undone or the site swaps in a URL of its own.
+  //   fixed:      the element currently shows a URL this script chose.
+  //   preemptive: { kind, badBase, host } while a rewrite made before the original failed
+  //               is waiting to be verified; kind is 'url', 'swarm', 'mp-family' or 'prefix-swap'.
+  //   original:   untouched attribute values ('src', 'srcset', 'data-src', 'data-srcset', 'background').
+  //   ownWrites:  attribute -> value this script last wrote, so the observer can tell
+  //               our mutations from the site's.
+  //   retries:    failed repair rounds so far; 'failed' is final once it hits the ceiling.
+  //   lastFailure: { tried, error } of the last round that found no host.
+  //   overlay:    the failure notice shown next to a 'failed' image.
+  //   generation: bumped whenever the site swaps in a URL of its own; a repair that awaited
+  //               across a bump belongs to the old URL and drops its result.
+  const imageStates = new WeakMap();
+
+  function stateOf(el) {
+    let st = imageStates.get(el);
+    if (!st) {
+      st = {
+        phase: 'idle',
+        fixed: false,
+        preemptive: null,
+        original: {},
+        ownWrites: new Map(),
+        listenerAttached: false,
+        slowPreflight: false,
+        backgroundFixed: '',
+        retries: 0,
+        lastFailure: null,
+        overlay: null,
+        generation: 0
+      };
+      imageStates.set(el, st);
+    }
+    return st;
+  }
+
+  // Diagnostics: with DIAGNOSTICS on, every image keeps a list of what happened to it and
+  // why. Probes and leader work are filed under the bad base they serve (MP family wins
+  // under 'mp-family'); image events name that base so both lists read together.
+  const TRACE_SUBJECTS_MAX = 300;
+  const TRACE_EVENTS_MAX = 200;
+  const TRACE_FORMAT = 'batoFixerTrace';
+  const TRACE_VERSION = 1;
+  // key -> { key, label, startedAt, events, dropped }; oldest subject goes first.
+  const traces = new Map();
+  const traceKeys = new WeakMap();
+  let traceSeq = 0;
+
+  function traceFor(subject) {
+    let key = typeof subject === 'string' ? subject : traceKeys.get(subject);
+    if (!key) {
+      key = `img#${++traceSeq}`;
+      traceKeys.set(subject, key);
+    }
+    let entry = traces.get(key);
+    if (!entry) {
+      if (traces.size >= TRACE_SUBJECTS_MAX) traces.delete(traces.keys().next().value);
+      const label = typeof subject === 'string' ? subject : (stateOf(subject).original.src || subject.src || backgroundUrlOf(subject));
+      entry = { key, label, startedAt: nowMs(), events: [], dropped: 0 };
+      traces.set(key, entry);
+    }
+    return entry;
+  }
+
+  function trace(subject, type, data = {}) {
+    if (!DIAGNOSTICS || !subject) return;
+    const entry = traceFor(subject);
+    if (entry.events.length >= TRACE_EVENTS_MAX) {
+      entry.events.shift();
+      entry.dropped++;
+    }
+    entry.events.push({ at: Math.round(perfNow()), type, ...data });
+  }
+
+  function traceSnapshot() {
+    return {
+      format: TRACE_FORMAT,
+      version: TRACE_VERSION,
+      enabled: DIAGNOSTICS,
+      site: SITE.id || '',
+      page: WIN.location.href,
+      capturedAt: nowMs(),
+      traces: Array.from(traces.values())
+    };
+  }
+
+  // The popup asks the top frame only; iframes keep their own trace.
+  function listenForTraceRequests() {
+    if (WIN !== WIN.top || !hasExtensionRuntime() || !chrome.runtime.onMessage) return;
+    chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+      if (!msg || msg.type !== 'trace:get') return false;
+      sendResponse(traceSnapshot());
+      return false;
+    });
+  }
+
+  function setPhase(el, phase) {
+    const st = stateOf(el);
+    if (st.phase !== phase) trace(el, 'phase', { from: st.phase, to: phase });
+    st.phase = phase;
+    if (phase === 'failed') showFailureOverlay(el);
+    else hideFailureOverlay(el);
+  }
+
+  function markFixed(el) {
+    setPhase(el, 'done');
+    stateOf(el).fixed = true;
+  }
+
+  function beginPreemptive(el, kind, badBase = '', host = null) {
+    trace(el, 'preemptive', { kind, badBase, host: host ? tupleBase(host) : '' });
+    stateOf(el).preemptive = { kind, badBase, host };
+  }
+
+  function endPreemptive(el) {
+    stateOf(el).preemptive = null;
+  }
+
+  function pendingPreemptive(el, kind) {
+    const pre = stateOf(el).preemptive;
+    return !!pre && pre.kind === kind;
+  }
+
+  function writeAttr(el, attr, value) {
+    el.setAttribute(attr, value);
+    noteOwnWrite(el, attr);
+  }
+
+  function noteOwnWrite(el, attr) {
+    stateOf(el).ownWrites.set(attr, el.getAttribute(attr));
+  }
+
+  // Mutation records arrive after the fact, so a write is ours when the attribute still
+  // holds what we last put there.
+  function isOwnWrite(el, attr) {
+    const st = imageStates.get(el);
+    if (!st || !st.ownWrites.has(attr)) return false;
+    if (el.getAttribute(attr) === st.ownWrites.get(attr)) return true;
+    st.ownWrites.delete(attr);
+    return false;
+  }
+
+  // The site put a new URL in place; whatever this script knew about the old one is stale.
+  function resetImageState(img) {
+    const st = stateOf(img);
+    forgetFix(img);
+    setPhase(img, 'idle');
+    st.generation++;
+    processingImages.delete(img);
+    st.fixed = false;
+    st.preemptive = null;
+    st.slowPreflight = false;
+    st.retries = 0;
+    st.lastFailure = null;
+    retryQueue.delete(img);
+    delete st.original.src;
+    delete st.original.srcset;
+  }
+
+  // img -> { source, host } for the fix currently applied to it; feeds the toolbar popup.
+  const fixRecords = new WeakMap();
+  const fixSourceCounts = { 'exact-url': 0, swarm: 0, 'mp-family': 0, probe: 0, 'prefix-swap': 0 };
+  const fixHostCounts = new Map();
+  let tabStatsTimer = null;
+
+  // Images are watched by one IntersectionObserver. Those in or near the viewport are
+  // handled as soon as they show up; the rest wait in offscreenQueue for idle batches.
+  const nearViewportImages = new WeakSet();
+  const observedImages = new WeakSet();
+  const offscreenQueue = new Set();
+  let offscreenBatchScheduled = false;
+  let viewportObserver = null;
 
   function nowMs() {
-    return Date.now();
+    return ENV.now();
+  }
+
+  function perfNow() {
+    return ENV.perfNow();
   }
 
   function safeJsonParse(str) {
@@ -368,48 +923,486 @@
     for (const [k] of toRemove) metaMap.delete(k);
   }
 
-  function persistNow() {
-    try {
-      pruneMetaMap(persistentHostMeta, HOST_CACHE_MAX);
-      pruneMetaMap(persistentUrlMeta, URL_CACHE_MAX);
+  // A persisted mapping is evidence with a shelf life. verifiedAt is when its target last
+  // answered; ttl is how long that is trusted, doubled each time a stale entry survives
+  // revalidation and halved when the target fails; confidence rises with confirmations and
+  // halves with failures. Stale entries are probed again before they are applied.
+  function mappingFields(entry) {
+    const num = (v, fallback) => (typeof v === 'number' && Number.isFinite(v) ? v : fallback);
+    return {
+      verifiedAt: num(entry && entry.verifiedAt, 0),
+      ttl: Math.min(MAPPING_TTL_MAX, Math.max(MAPPING_TTL_MIN, num(entry && entry.ttl, MAPPING_TTL_MIN))),
+      confidence: Math.min(1, Math.max(0, num(entry && entry.confidence, MAPPING_CONFIDENCE_START)))
+    };
+  }
+
+  function freshMappingFields() {
+    return { verifiedAt: nowMs(), ttl: MAPPING_TTL_MIN, confidence: MAPPING_CONFIDENCE_START };
+  }
+
+  function isMappingStale(meta) {
+    if (!meta) return true;
+    if (meta.confidence < MAPPING_MIN_CONFIDENCE) return true;
+    return nowMs() - (meta.verifiedAt || 0) > meta.ttl;
+  }
+
+  function confirmMapping(meta, revalidated = false) {
+    meta.verifiedAt = nowMs();
+    meta.confidence += (1 - meta.confidence) / 2;
+    if (revalidated) meta.ttl = Math.min(MAPPING_TTL_MAX, meta.ttl * 2);
+  }
+
+  function doubtMapping(meta) {
+    meta.confidence /= 2;
+    meta.ttl = Math.max(MAPPING_TTL_MIN, meta.ttl / 2);
+  }
+
+  function mappingTarget(meta) {
+    return meta.host ? hostOfUrl(tupleBase(meta.host)) : hostOfUrl(meta.fixedUrl);
+  }
+
+  // Any load from a target host refreshes the mappings that point at it, at most once
+  // per MAPPING_CONFIRM_INTERVAL so busy pages do not rewrite storage on every image.
+  function confirmMappingsTo(host) {
+    const now = nowMs();
+    const due = (meta) => now - (meta.verifiedAt || 0) >= MAPPING_CONFIRM_INTERVAL && mappingTarget(meta) === host;
+    for (const [badBase, meta] of persistentHostMeta.entries()) {
+      if (!due(meta)) continue;
+      confirmMapping(meta);
+      queueHostReport(badBase, meta);
+    }
+    for (const [badUrl, meta] of persistentUrlMeta.entries()) {
+      if (!due(meta)) continue;
+      confirmMapping(meta);
+      queueUrlReport(badUrl, meta);
+    }
+  }
 
-      const hostsObj = {};
-      for (const [badBase, meta] of persistentHostMeta.entries()) {
-        hostsObj[badBase] = { host: meta.host, lastUsed: meta.lastUsed || 0 };
+  // Failures shake confidence in every mapping to the host; once the host has piled up
+  // failures in bestHostStats, those mappings are dropped outright.
+  function doubtMappingsTo(host, stats) {
+    const drop = (stats.fails || 0) >= MAPPING_DROP_FAILS && bestHostScore(stats) < 0.5;
+    for (const [badBase, meta] of Array.from(persistentHostMeta)) {
+      if (mappingTarget(meta) !== host) continue;
+      if (!drop) doubtMapping(meta);
+      // Stale or dropped, the next image from badBase has to earn the mapping again.
+      if (drop || isMappingStale(meta)) {
+        const known = swarmHostMap.get(badBase);
+        if (known && tupleBase(known) === tupleBase(meta.host)) swarmHostMap.delete(badBase);
+      }
+      if (drop) forgetHostMapping(badBase);
+      else queueHostReport(badBase, meta);
+    }
+    for (const [badUrl, meta] of Array.from(persistentUrlMeta)) {
+      if (mappingTarget(meta) !== host) continue;
+      if (drop) {
+        forgetUrlMapping(badUrl);
+      } else {
+        doubtMapping(meta);
+        queueUrlReport(badUrl, meta);
       }
+    }
+  }
+
+  function rememberHostMapping(badBase, tuple) {
+    const meta = persistentHostMeta.get(badBase);
+    if (meta && tupleBase(meta.host) === tupleBase(tuple)) {
+      meta.lastUsed = nowMs();
+    } else {
+      persistentHostMeta.set(badBase, { host: tuple, lastUsed: nowMs(), ...freshMappingFields() });
+    }
+    queueHostReport(badBase, persistentHostMeta.get(badBase));
+  }
+
+  // Persists a win this tab made itself; tuples relayed from other tabs stay in memory.
+  function rememberWin(badBase, tuple, badUrl, fixedUrl) {
+    if (remoteTuples.has(tuple)) return;
+    rememberHostMapping(badBase, tuple);
+    if (badUrl) rememberUrlMapping(badUrl, fixedUrl);
+  }
+
+  function forgetHostMapping(badBase) {
+    persistentHostMeta.delete(badBase);
+    redirectTargets.delete(badBase);
+    queueHostReport(badBase, null);
+  }
 
-      const urlsObj = {};
-      for (const [badUrl, meta] of persistentUrlMeta.entries()) {
-        urlsObj[badUrl] = { fixedUrl: meta.fixedUrl, lastUsed: meta.lastUsed || 0 };
+  function rememberUrlMapping(badUrl, fixedUrl) {
+    const prev = persistentUrlMeta.get(badUrl);
+    const fields = prev && prev.fixedUrl === fixedUrl ? mappingFields(prev) : freshMappingFields();
+    const meta = { fixedUrl, lastUsed: nowMs(), ...fields };
+    persistentUrlMeta.set(badUrl, meta);
+    queueUrlReport(badUrl, meta);
+  }
+
+  function forgetUrlMapping(badUrl) {
+    persistentUrlMeta.delete(badUrl);
+    queueUrlReport(badUrl, null);
+  }
+
+  // One cheap probe per stale entry, shared by everyone who asks. A host mapping that
+  // still answers is committed like a fresh win; one that does not is forgotten.
+  const revalidations = new Map();
+
+  function revalidateHostMapping(badBase, parsed) {
+    const meta = persistentHostMeta.get(badBase);
+    if (!meta || swarmHostMap.has(badBase)) return Promise.resolve(null);
+    let pending = revalidations.get(badBase);
+    if (pending) return pending;
+
+    const tuple = meta.host;
+    pending = probeUrl(`${tupleBase(tuple)}${parsed.path}`, REVALIDATE_TIMEOUT, badBase)
+      .then(() => {
+        if (persistentHostMeta.get(badBase) !== meta) return null;
+        confirmMapping(meta, true);
+        return commitSwarmWin(badBase, tuple, parsed);
+      }, () => {
+        if (persistentHostMeta.get(badBase) === meta) forgetHostMapping(badBase);
+        return null;
+      })
+      .finally(() => revalidations.delete(badBase));
+    revalidations.set(badBase, pending);
+    return pending;
+  }
+
+  function revalidateUrlMapping(badUrl) {
+    const meta = persistentUrlMeta.get(badUrl);
+    if (!meta) return Promise.resolve(false);
+    let pending = revalidations.get(badUrl);
+    if (pending) return pending;
+
+    pending = probeUrl(meta.fixedUrl, REVALIDATE_TIMEOUT, hostBaseFromUrl(badUrl))
+      .then(() => {
+        if (persistentUrlMeta.get(badUrl) !== meta) return false;
+        confirmMapping(meta, true);
+        queueUrlReport(badUrl, meta);
+        return true;
+      }, () => {
+        if (persistentUrlMeta.get(badUrl) === meta) forgetUrlMapping(badUrl);
+        return false;
+      })
+      .finally(() => revalidations.delete(badUrl));
+    revalidations.set(badUrl, pending);
+    return pending;
+  }
+
+  // Shared host health: the background service worker keeps one IndexedDB database for
+  // every mirror origin. Pages hold an in-memory copy of it, plus URL mappings for the
+  // series they show, and report every change back.
+  let pendingHealthReport = emptyHealthReport();
+  let healthReportTimer = null;
+
+  function emptyHealthReport() {
+    return { hosts: {}, urls: {}, stats: {}, roots: {}, history: {}, breakers: {}, decoys: {} };
+  }
+
+  function hasExtensionRuntime() {
+    try {
+      return !!(globalThis.chrome && chrome.runtime && chrome.runtime.id);
+    } catch {
+      return false;
+    }
+  }
+
+  function sendRuntimeMessage(msg) {
+    if (!hasExtensionRuntime()) return Promise.resolve(null);
+    try {
+      return Promise.resolve(chrome.runtime.sendMessage(msg)).catch(() => null);
+    } catch {
+      return Promise.resolve(null);
+    }
+  }
+
+  // Bato and MangaPark both put the series id right after /title/ or /series/. Pages
+  // without one share the unpartitioned URL mappings.
+  function currentSeries() {
+    const m = /\/(?:title|series)\/(\d+)/.exec(WIN.location.pathname);
+    return m ? `${SITE.id || ''}:${m[1]}` : '';
+  }
+
+  function flushHealthReport() {
+    if (healthReportTimer) {
+      ENV.clearTimeout(healthReportTimer);
+      healthReportTimer = null;
+    }
+    const report = pendingHealthReport;
+    pendingHealthReport = emptyHealthReport();
+    if (Object.values(report).every(section => Object.keys(section).length === 0)) return;
+    sendRuntimeMessage({ type: 'hostHealth:report', report: { ...report, series: currentSeries() } }).then(reply => {
+      const redirects = reply && reply.redirects && typeof reply.redirects === 'object' ? reply.redirects : {};
+      for (const [badBase, meta] of Object.entries(report.hosts)) {
+        if (meta && redirects[badBase] === tupleBase(meta.host)) redirectTargets.set(badBase, redirects[badBase]);
       }
+    });
+  }
 
-      const payload = {
-        version: CACHE_VERSION,
-        savedAt: nowMs(),
-        hosts: hostsObj,
-        urls: urlsObj
-      };
+  function scheduleHealthReport() {
+    if (healthReportTimer) return;
+    healthReportTimer = ENV.setTimeout(() => {
+      healthReportTimer = null;
+      flushHealthReport();
+    }, HEALTH_REPORT_DELAY);
+  }
 
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
-    } catch (e) {
+  function queueHostReport(badBase, meta) {
+    pendingHealthReport.hosts[badBase] = meta ? { host: meta.host, lastUsed: meta.lastUsed || 0, ...mappingFields(meta) } : null;
+    scheduleHealthReport();
+  }
+
+  function queueUrlReport(badUrl, meta) {
+    pendingHealthReport.urls[badUrl] = meta ? { fixedUrl: meta.fixedUrl, lastUsed: meta.lastUsed || 0, ...mappingFields(meta) } : null;
+    scheduleHealthReport();
+  }
+
+  function queueStatsReport(host, field, latencySample = null) {
+    const delta = pendingHealthReport.stats[host] || { hits: 0, fails: 0, lastUsed: 0, lat: [] };
+    delta[field] += 1;
+    delta.lastUsed = nowMs();
+    if (latencySample !== null) delta.lat.push(latencySample);
+    pendingHealthReport.stats[host] = delta;
+    scheduleHealthReport();
+  }
+
+  function queueRootReport(key, field) {
+    const delta = pendingHealthReport.roots[key] || { hits: 0, fails: 0, lastUsed: 0 };
+    delta[field] += 1;
+    delta.lastUsed = nowMs();
+    pendingHealthReport.roots[key] = delta;
+    scheduleHealthReport();
+  }
+
+  function queueBreakerReport(cacheKey, b) {
+    pendingHealthReport.breakers[cacheKey] = b
+      ? { failures: b.failures, openUntil: b.openUntil, lastUsed: b.lastUsed || 0 }
+      : null;
+    scheduleHealthReport();
+  }
+
+  function queueHistoryReport(key, field) {
+    const delta = pendingHealthReport.history[key] || { hits: 0, fails: 0, lastUsed: 0 };
+    delta[field] += 1;
+    delta.lastUsed = nowMs();
+    pendingHealthReport.history[key] = delta;
+    scheduleHealthReport();
+  }
+
+  function queueDecoyReport(print) {
+    const delta = pendingHealthReport.decoys[print] || { hits: 0, lastUsed: 0 };
+    delta.hits += 1;
+    delta.lastUsed = nowMs();
+    pendingHealthReport.decoys[print] = delta;
+    scheduleHealthReport();
+  }
+
+  async function loadSettings() {
+    if (!hasExtensionRuntime() || !chrome.storage || !chrome.storage.local) return;
+    try {
+      const stored = await chrome.storage.local.get(SETTINGS.SETTINGS_KEY);
+      applySettings(stored ? stored[SETTINGS.SETTINGS_KEY] : null);
+    } catch {
     }
   }
 
-  function schedulePersist() {
+  // The options page writes to storage; every open tab picks the change up from here.
+  function watchSettings() {
+    if (!hasExtensionRuntime() || !chrome.storage || !chrome.storage.onChanged) return;
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !changes[SETTINGS.SETTINGS_KEY]) return;
+      applySettings(changes[SETTINGS.SETTINGS_KEY].newValue);
+    });
+  }
+
+  // Each origin used to keep its mappings, host stats, discovered roots, candidate history,
+  // breakers and decoy prints in its own localStorage. The background imports them once;
+  // they are removed only after it confirms the write.
+  const LEGACY_KEYS = {
+    cache: STORAGE_KEY,
+    stats: BEST_HOST_STATS_KEY,
+    roots: DISCOVERED_ROOTS_KEY,
+    history: CANDIDATE_HISTORY_KEY,
+    breakers: BREAKER_KEY,
+    decoys: DECOY_KEY
+  };
+
+  async function importLegacyCaches() {
+    const legacy = {};
+    try {
+      for (const [name, key] of Object.entries(LEGACY_KEYS)) {
+        const raw = ENV.storage.getItem(key);
+        if (raw !== null) legacy[name] = safeJsonParse(raw);
+      }
+    } catch {
+      return;
+    }
+    if (Object.keys(legacy).length === 0) return;
+    const res = await sendRuntimeMessage({ type: 'store:importLegacy', ...legacy });
+    if (!res || !res.ok) return;
     try {
-      if (persistTimer) return;
-      persistTimer = setTimeout(() => {
-        persistTimer = null;
-        persistNow();
-      }, PERSIST_DEBOUNCE_DELAY);
+      for (const name of Object.keys(legacy)) ENV.storage.removeItem(LEGACY_KEYS[name]);
     } catch {
     }
   }
 
+  // Shared by early interception and init(), so the background is asked only once.
+  let sharedStatePromise = null;
+
+  function loadSharedState() {
+    if (!sharedStatePromise) {
+      sharedStatePromise = importLegacyCaches()
+        .then(pullSharedHostHealth)
+        .catch(() => {});
+    }
+    return sharedStatePromise;
+  }
+
+  async function pullSharedHostHealth() {
+    const shared = await sendRuntimeMessage({ type: 'hostHealth:get', series: currentSeries() });
+    if (!shared || typeof shared !== 'object') return;
+
+    const hosts = shared.hosts && typeof shared.hosts === 'object' ? shared.hosts : {};
+    const urls = shared.urls && typeof shared.urls === 'object' ? shared.urls : {};
+    const stats = shared.stats && typeof shared.stats === 'object' ? shared.stats : {};
+    const redirects = shared.redirects && typeof shared.redirects === 'object' ? shared.redirects : {};
+    const roots = shared.roots && typeof shared.roots === 'object' ? shared.roots : {};
+    const history = shared.history && typeof shared.history === 'object' ? shared.history : {};
+    const breakers = shared.breakers && typeof shared.breakers === 'object' ? shared.breakers : {};
+    const decoys = shared.decoys && typeof shared.decoys === 'object' ? shared.decoys : {};
+
+    for (const [badBase, targetBase] of Object.entries(redirects)) {
+      if (typeof targetBase === 'string') redirectTargets.set(badBase, targetBase);
+    }
+
+    // Roots first: a mapping is only taken when its target sits on a root we know.
+    for (const [key, entry] of Object.entries(roots)) {
+      if (!rootEntry(key) || ALL_ROOTS.includes(key) || isPageOwnRoot(key)) continue;
+      if (!entry || typeof entry !== 'object') continue;
+      const hits = typeof entry.hits === 'number' ? Math.max(0, entry.hits) : 0;
+      const fails = typeof entry.fails === 'number' ? Math.max(0, entry.fails) : 0;
+      const prev = discoveredRoots.get(key);
+      if (prev && (prev.hits || 0) + (prev.fails || 0) > hits + fails) continue;
+      discoveredRoots.set(key, { hits, fails, lastUsed: typeof entry.lastUsed === 'number' ? entry.lastUsed : 0 });
+    }
+
+    for (const [badBase, entry] of Object.entries(hosts)) {
+      if (!entry || !isKnownHostTuple(entry.host)) continue;
+      const lastUsed = typeof entry.lastUsed === 'number' ? entry.lastUsed : 0;
+      const prev = persistentHostMeta.get(badBase);
+      if (prev && (prev.lastUsed || 0) >= lastUsed) continue;
+      const meta = { host: entry.host, lastUsed, ...mappingFields(entry) };
+      persistentHostMeta.set(badBase, meta);
+      if (!isMappingStale(meta)) swarmHostMap.set(badBase, entry.host);
+    }
+
+    for (const [badUrl, entry] of Object.entries(urls)) {
+      if (!entry || typeof entry.fixedUrl !== 'string') continue;
+      const lastUsed = typeof entry.lastUsed === 'number' ? entry.lastUsed : 0;
+      const prev = persistentUrlMeta.get(badUrl);
+      if (prev && (prev.lastUsed || 0) >= lastUsed) continue;
+      persistentUrlMeta.set(badUrl, { fixedUrl: entry.fixedUrl, lastUsed, ...mappingFields(entry) });
+    }
+
+    for (const [host, entry] of Object.entries(stats)) {
+      if (!HOST_RE.test(host)) continue;
+      if (!entry || typeof entry !== 'object') continue;
+      const hits = typeof entry.hits === 'number' ? Math.max(0, entry.hits) : 0;
+      const fails = typeof entry.fails === 'number' ? Math.max(0, entry.fails) : 0;
+      const prev = bestHostStats.get(host);
+      if (prev && (prev.hits || 0) + (prev.fails || 0) > hits + fails) continue;
+      bestHostStats.set(host, {
+        hits,
+        fails,
+        lastUsed: typeof entry.lastUsed === 'number' ? entry.lastUsed : 0,
+        lat: sanitizeLatencies(entry.lat)
+      });
+    }
+
+    for (const [key, entry] of Object.entries(history)) {
+      if (!/^[pnr]:/.test(key)) continue;
+      if (!entry || typeof entry !== 'object') continue;
+      const hits = typeof entry.hits === 'number' ? Math.max(0, entry.hits) : 0;
+      const fails = typeof entry.fails === 'number' ? Math.max(0, entry.fails) : 0;
+      const prev = candidateHistory.get(key);
+      if (prev && (prev.hits || 0) + (prev.fails || 0) > hits + fails) continue;
+      candidateHistory.set(key, { hits, fails, lastUsed: typeof entry.lastUsed === 'number' ? entry.lastUsed : 0 });
+    }
+
+    // A host that tripped its breaker on another mirror is just as dead here.
+    for (const [cacheKey, entry] of Object.entries(breakers)) {
+      if (!isBreakerState(entry)) continue;
+      const lastUsed = typeof entry.lastUsed === 'number' ? entry.lastUsed : 0;
+      const prev = hostBreakers.get(cacheKey);
+      if (prev && (prev.lastUsed || 0) >= lastUsed) continue;
+      hostBreakers.set(cacheKey, { failures: entry.failures, openUntil: entry.openUntil, trialStartedAt: 0, lastUsed });
+    }
+
+    // Placeholder sizes caught on any mirror are placeholders here too.
+    for (const [print, entry] of Object.entries(decoys)) {
+      if (!/^\d+x\d+$/.test(print) || !entry || typeof entry.hits !== 'number') continue;
+      const prev = decoyPrints.get(print);
+      if (prev && prev.hits >= entry.hits) continue;
+      decoyPrints.set(print, { hits: entry.hits, lastUsed: typeof entry.lastUsed === 'number' ? entry.lastUsed : 0 });
+    }
+  }
+
   function hostBaseFromUrl(url) {
     return String(url).split('/').slice(0, 3).join('/');
   }
 
+  function bumpCount(map, key, delta) {
+    const next = (map.get(key) || 0) + delta;
+    if (next > 0) map.set(key, next);
+    else map.delete(key);
+  }
+
+  function recordFix(img, source, url) {
+    trace(img, 'fix', { source, url });
+    forgetFix(img);
+    const host = hostBaseFromUrl(url).replace(/^https?:\/\//, '');
+    fixRecords.set(img, { source, host });
+    fixSourceCounts[source] = (fixSourceCounts[source] || 0) + 1;
+    bumpCount(fixHostCounts, host, 1);
+    scheduleTabStatsReport();
+  }
+
+  function forgetFix(img) {
+    const prev = fixRecords.get(img);
+    if (!prev) return;
+    fixRecords.delete(img);
+    fixSourceCounts[prev.source] = Math.max(0, (fixSourceCounts[prev.source] || 0) - 1);
+    bumpCount(fixHostCounts, prev.host, -1);
+    scheduleTabStatsReport();
+  }
+
+  function collectTabStats() {
+    let fixed = 0;
+    let retry = 0;
+    let failed = 0;
+    let broken = 0;
+    queryAllImages().forEach(img => {
+      if (!img || !img.src || !parseSubdomain(img.src)) return;
+      const st = stateOf(img);
+      if (st.fixed && isImageLoaded(img)) fixed++;
+      if (st.phase === 'retry') retry++;
+      else if (st.phase === 'failed') failed++;
+      if (isImageBroken(img)) broken++;
+    });
+
+    const hosts = Array.from(fixHostCounts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TAB_STATS_TOP_HOSTS)
+      .map(([host, count]) => ({ host, count }));
+
+    return { site: SITE.id || '', fixed, retry, failed, broken, sources: { ...fixSourceCounts }, hosts };
+  }
+
+  function scheduleTabStatsReport() {
+    if (tabStatsTimer) return;
+    tabStatsTimer = ENV.setTimeout(() => {
+      tabStatsTimer = null;
+      sendRuntimeMessage({ type: 'tabStats:update', stats: collectTabStats() });
+    }, TAB_STATS_REPORT_DELAY);
+  }
+
   function getMpFamilyWinner() {
     return mpFamilyWinnerTuple;
   }
@@ -421,6 +1414,7 @@
     if (typeof tuple.tld !== 'string') return;
     if (mpFamilyWinnerTuple) return;
     mpFamilyWinnerTuple = tuple;
+    trace('mp-family', 'mp-family-win', { host: tupleBase(tuple) });
     const waiters = mpFamilyWaiters;
     mpFamilyWaiters = [];
     for (const w of waiters) {
@@ -446,115 +1440,300 @@
     return { promise, cancel };
   }
 
+  function isBreakerState(obj) {
+    return !!obj && typeof obj === 'object'
+      && typeof obj.failures === 'number'
+      && typeof obj.openUntil === 'number';
+  }
+
+  function breakerBackoff(failures, reason) {
+    const base = reason === 'timeout' ? BREAKER_BASE_TIMEOUT : BREAKER_BASE_ERROR;
+    return Math.min(BREAKER_MAX_BACKOFF, base * Math.pow(2, Math.max(0, failures - 1)));
+  }
+
+  // True while the breaker is open, or half-open with its one trial probe still in flight.
   function isTemporarilyFailedHost(cacheKey) {
-    const until = failedCache.get(cacheKey);
-    if (!until) return false;
-    if (until <= nowMs()) {
-      failedCache.delete(cacheKey);
-      return false;
-    }
+    const b = hostBreakers.get(cacheKey);
+    if (!b) return false;
+    const now = nowMs();
+    if (b.openUntil > now) return true;
+    return !!b.trialStartedAt && now - b.trialStartedAt < PROBE_TIMEOUT;
+  }
+
+  // Claims the right to probe a host. A half-open breaker hands out a single trial.
+  function acquireHostProbe(cacheKey) {
+    if (isTemporarilyFailedHost(cacheKey)) return false;
+    const b = hostBreakers.get(cacheKey);
+    if (b) b.trialStartedAt = nowMs();
     return true;
   }
 
   function markHostFailed(cacheKey, reason) {
     const now = nowMs();
-    const backoffMs = reason === 'timeout' ? 15000 : 120000;
-    const until = now + backoffMs;
-    const prev = failedCache.get(cacheKey) || 0;
-    failedCache.set(cacheKey, Math.max(prev, until));
+    const b = hostBreakers.get(cacheKey) || { failures: 0, openUntil: 0, trialStartedAt: 0, lastUsed: 0 };
+    b.failures += 1;
+    b.openUntil = Math.max(b.openUntil, now + breakerBackoff(b.failures, reason));
+    b.trialStartedAt = 0;
+    b.lastUsed = now;
+    hostBreakers.set(cacheKey, b);
+    pruneMetaMap(hostBreakers, BREAKER_MAX);
+    queueBreakerReport(cacheKey, b);
+    announceBreaker(cacheKey, b);
+    noteHostOutcome(`${cacheKey}/`, 'fails');
+    recordBestHostFailure(hostOfUrl(cacheKey), reason);
   }
 
-  function loadPersistentCache() {
-    try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      if (!raw) return;
-      const parsed = safeJsonParse(raw);
-      if (!parsed || typeof parsed.version !== 'number') return;
-      if (![1, 2, 3].includes(parsed.version)) return;
-
-      const hosts = parsed.hosts && typeof parsed.hosts === 'object' ? parsed.hosts : {};
-      const urls = parsed.urls && typeof parsed.urls === 'object' ? parsed.urls : {};
-
-      for (const [badBase, entry] of Object.entries(hosts)) {
-        if (!entry || typeof entry !== 'object') continue;
-        const host = entry.host;
-        if (!host || typeof host !== 'object') continue;
-        if (typeof host.prefix !== 'string') continue;
-        if (typeof host.number !== 'number') continue;
-        if (typeof host.root !== 'string') continue;
-        if (typeof host.tld !== 'string') continue;
-        const lastUsed = typeof entry.lastUsed === 'number' ? entry.lastUsed : 0;
-
-        persistentHostMeta.set(badBase, { host, lastUsed });
-        swarmHostMap.set(badBase, host);
-      }
+  // Some hosts answer a dead path with a generic "not found" or hotlink picture and a 200.
+  // A probe is judged against the pages of the same chapter that really loaded; without
+  // enough of those, against dimensions already caught as placeholders on any mirror.
+  const chapterShapes = new Map();
+  const decoyPrints = new Map();
+
+  function chapterKeyOf(url) {
+    const p = parseSubdomain(String(url || ''));
+    if (!p) return '';
+    return p.path.replace(/[?#].*$/, '').replace(/\/[^/]*$/, '');
+  }
+
+  function noteDecoyPrint(w, h) {
+    const print = `${w}x${h}`;
+    const entry = decoyPrints.get(print) || { hits: 0, lastUsed: 0 };
+    entry.hits += 1;
+    entry.lastUsed = nowMs();
+    decoyPrints.set(print, entry);
+    pruneMetaMap(decoyPrints, DECOY_MAX);
+    queueDecoyReport(print);
+  }
+
+  function recordChapterShape(url, w, h) {
+    const key = chapterKeyOf(url);
+    if (!key || !(w > 1 && h > 1)) return;
+    const shapes = chapterShapes.get(key) || [];
+    shapes.push({ w, h });
+    if (shapes.length > CHAPTER_SHAPES_MAX) shapes.shift();
+    chapterShapes.set(key, shapes);
+  }
+
+  function medianOf(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  }
+
+  // Double-page spreads and long strips vary a lot, and credits pages can be small, but
+  // a page much smaller than its siblings in both directions and shaped differently too
+  // is a placeholder.
+  function isDecoyImage(url, w, h) {
+    const shapes = chapterShapes.get(chapterKeyOf(url)) || [];
+    if (shapes.length >= DECOY_SIBLINGS_MIN) {
+      const medW = medianOf(shapes.map(s => s.w));
+      const medH = medianOf(shapes.map(s => s.h));
+      if (!(w < medW * DECOY_SHRINK_RATIO && h < medH * DECOY_SHRINK_RATIO)) return false;
+      const aspect = (w / h) / (medW / medH);
+      return Math.max(aspect, 1 / aspect) > 1 + DECOY_ASPECT_TOLERANCE;
+    }
+    const known = decoyPrints.get(`${w}x${h}`);
+    return !!known && known.hits >= DECOY_MIN_HITS;
+  }
+
+  function markHostSucceeded(cacheKey) {
+    clearHostBreaker(cacheKey);
+  }
 
-      for (const [badUrl, entry] of Object.entries(urls)) {
-        if (!entry || typeof entry !== 'object') continue;
-        if (typeof entry.fixedUrl !== 'string') continue;
-        const lastUsed = typeof entry.lastUsed === 'number' ? entry.lastUsed : 0;
-        persistentUrlMeta.set(badUrl, { fixedUrl: entry.fixedUrl, lastUsed });
+  // Tracked images indexed by every CDN base they reference (src, srcset, lazy attributes,
+  // picture sources) and by root family, so a win only touches the elements it affects.
+  const imagesByBase = new Map();
+  const imagesByFamily = new Map();
+  const imageIndexEntries = new WeakMap();
+
+  function imageBases(img) {
+    const bases = new Set();
+    const add = (value) => {
+      if (!value) return;
+      for (const origin of String(value).match(HOST_REWRITE_RE) || []) {
+        const p = parseSubdomain(`${origin}/`);
+        if (p) bases.add(toBase(p));
       }
+    };
+    add(img.src);
+    add(img.getAttribute('srcset'));
+    add(img.getAttribute('data-src'));
+    add(img.getAttribute('data-srcset'));
+    for (const source of pictureSources(img)) {
+      add(source.getAttribute('srcset'));
+      add(source.getAttribute('data-srcset'));
+    }
+    return bases;
+  }
 
-      if (parsed.version === 1) {
-        for (const [badUrl, entry] of Object.entries(urls)) {
-          if (!entry || typeof entry !== 'object') continue;
-          if (typeof entry.fixedUrl !== 'string') continue;
-          const lastUsed = typeof entry.lastUsed === 'number' ? entry.lastUsed : 0;
-
-          const badParsed = parseSubdomain(badUrl);
-          const fixedParsed = parseSubdomain(entry.fixedUrl);
-          if (!badParsed || !fixedParsed) continue;
-
-          const badBase = toBase(badParsed);
-          const tuple = toHostTuple(fixedParsed);
-          const prev = persistentHostMeta.get(badBase);
-          if (prev) {
-            if ((prev.lastUsed || 0) < lastUsed) prev.lastUsed = lastUsed;
-          } else {
-            persistentHostMeta.set(badBase, { host: tuple, lastUsed });
-          }
-          swarmHostMap.set(badBase, tuple);
-        }
+  function addToIndex(index, key, img) {
+    let set = index.get(key);
+    if (!set) {
+      set = new Set();
+      index.set(key, set);
+    }
+    set.add(img);
+  }
+
+  function removeFromIndex(index, key, img) {
+    const set = index.get(key);
+    if (!set) return;
+    set.delete(img);
+    if (set.size === 0) index.delete(key);
+  }
+
+  function indexImage(img) {
+    unindexImage(img);
+    const bases = Array.from(imageBases(img));
+    if (bases.length === 0) return;
+    const families = Array.from(new Set(bases.map(b => rootFamily(parseSubdomain(`${b}/`).root))));
+    for (const b of bases) addToIndex(imagesByBase, b, img);
+    for (const f of families) addToIndex(imagesByFamily, f, img);
+    imageIndexEntries.set(img, { bases, families });
+  }
+
+  function unindexImage(img) {
+    const entry = imageIndexEntries.get(img);
+    if (!entry) return;
+    imageIndexEntries.delete(img);
+    for (const b of entry.bases) removeFromIndex(imagesByBase, b, img);
+    for (const f of entry.families) removeFromIndex(imagesByFamily, f, img);
+  }
+
+  function indexedImages(index, key) {
+    const set = index.get(key);
+    if (!set) return [];
+    const out = [];
+    for (const img of Array.from(set)) {
+      if (img.isConnected) out.push(img);
+      else unindexImage(img);
+    }
+    return out;
+  }
+
+  function unindexRemoved(node) {
+    if (node.isConnected) return;
+    const imgs = node.tagName === 'IMG' ? [node] : (node.querySelectorAll ? Array.from(node.querySelectorAll('img')) : []);
+    for (const img of imgs) {
+      unindexImage(img);
+      hideFailureOverlay(img);
+    }
+  }
+
+  function hasImageSource(img) {
+    return !!(img.src || img.getAttribute('data-src') || img.getAttribute('data-srcset'));
+  }
+
+  function enqueueImage(img) {
+    if (!img || img.tagName !== 'IMG' || !hasImageSource(img)) return;
+    indexImage(img);
+    if (!viewportObserver) {
+      processImage(img);
+      return;
+    }
+    if (nearViewportImages.has(img)) {
+      offscreenQueue.delete(img);
+      processImage(img);
+      return;
+    }
+    offscreenQueue.add(img);
+    if (observedImages.has(img)) {
+      scheduleOffscreenBatch();
+      return;
+    }
+    // The observer reports every new target once, which decides its lane.
+    observedImages.add(img);
+    viewportObserver.observe(img);
+  }
+
+  function processImage(img) {
+    if (!img.isConnected) return;
+    processNewImage(img);
+    if (img.src) verifyImage(img);
+  }
+
+  function onViewportChange(entries) {
+    for (const entry of entries) {
+      const img = entry.target;
+      if (!img.isConnected) {
+        viewportObserver.unobserve(img);
+        observedImages.delete(img);
+        nearViewportImages.delete(img);
+        offscreenQueue.delete(img);
+        continue;
+      }
+      if (!entry.isIntersecting) {
+        nearViewportImages.delete(img);
+        continue;
       }
+      nearViewportImages.add(img);
+      if (offscreenQueue.delete(img)) processImage(img);
+      else if (!img.complete) scheduleSlowLoadBestHostPreflight(img, parseSubdomain(img.src));
+    }
+    if (offscreenQueue.size) scheduleOffscreenBatch();
+  }
 
-      if (parsed.version !== CACHE_VERSION) schedulePersist();
-    } catch (e) {
+  function scheduleOffscreenBatch() {
+    if (offscreenBatchScheduled) return;
+    offscreenBatchScheduled = true;
+    const run = () => {
+      offscreenBatchScheduled = false;
+      const batch = Array.from(offscreenQueue).slice(0, OFFSCREEN_BATCH_SIZE);
+      for (const img of batch) {
+        offscreenQueue.delete(img);
+        processImage(img);
+      }
+      if (offscreenQueue.size) scheduleOffscreenBatch();
+    };
+    if (typeof ENV.requestIdleCallback === 'function') {
+      ENV.requestIdleCallback(run, { timeout: OFFSCREEN_BATCH_DELAY * 4 });
+    } else {
+      ENV.setTimeout(run, OFFSCREEN_BATCH_DELAY);
     }
   }
 
-  function ensurePersistentCacheKey() {
+  function startViewportObserver() {
+    if (typeof ENV.IntersectionObserver !== 'function') return;
     try {
-      if (localStorage.getItem(STORAGE_KEY) != null) return;
-      const payload = {
-        version: CACHE_VERSION,
-        savedAt: nowMs(),
-        hosts: {},
-        urls: {}
-      };
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
+      viewportObserver = new ENV.IntersectionObserver(onViewportChange, { rootMargin: VIEWPORT_ROOT_MARGIN });
     } catch {
+      viewportObserver = null;
     }
   }
 
-  function enqueueImage(img) {
-    if (!img || img.tagName !== 'IMG' || !img.src) return;
-    if (pendingImages.has(img)) return;
-    pendingImages.add(img);
-    if (pendingFlushTimer) return;
-    pendingFlushTimer = setTimeout(() => {
-      pendingFlushTimer = null;
-      const batch = Array.from(pendingImages);
-      pendingImages.clear();
-      for (const queuedImg of batch) {
-        processNewImage(queuedImg);
-        setTimeout(() => checkImage(queuedImg), CHECK_DELAY);
+  // Resolves once the image has settled on its current src: load or error, then
+  // decode() for loaded ones so the pixels are really there.
+  function whenImageSettled(img) {
+    return new Promise(resolve => {
+      const finish = () => {
+        img.removeEventListener('load', finish);
+        img.removeEventListener('error', finish);
+        if (img.naturalWidth > 0 && typeof img.decode === 'function') {
+          img.decode().then(resolve, resolve);
+        } else {
+          resolve();
+        }
+      };
+      if (img.complete) {
+        finish();
+        return;
       }
-    }, 50);
+      img.addEventListener('load', finish);
+      img.addEventListener('error', finish);
+    });
+  }
+
+  // Judges a rewrite on its actual outcome. A src that changes in the meantime gets
+  // its own verification from whoever changed it.
+  function verifyImage(img) {
+    const src = img.src;
+    whenImageSettled(img).then(() => {
+      if (img.src !== src) return;
+      checkImage(img);
+    });
   }
 
   function parseSubdomain(src) {
-    const m = src.match(SUBDOMAIN_RE);
+    const m = withoutRedirectBypass(src).match(SUBDOMAIN_RE);
     if (!m) return null;
     return {
       prefix: m[1].toLowerCase(),
@@ -586,6 +1765,19 @@
       && typeof obj.tld === 'string';
   }
 
+  function isKnownRoot(key) {
+    return KNOWN_ROOTS.has(key) || discoveredRoots.has(key) || isPageOwnRoot(key);
+  }
+
+  // Tuples handed over by other tabs or the background must name a real CDN host on a
+  // root we know, not just have the right shape.
+  function isKnownHostTuple(obj) {
+    return isHostTuple(obj)
+      && Number.isInteger(obj.number)
+      && HOST_RE.test(tupleBase(obj).slice('https://'.length))
+      && isKnownRoot(`${obj.root}.${obj.tld}`.toLowerCase());
+  }
+
   function pathKeyOf(parsed) {
     try {
       return parsed.path.split('/').slice(0, 3).join('/');
@@ -598,50 +1790,142 @@
     return `${parsed.root}-${pathKeyOf(parsed)}`;
   }
 
+  function withRedirectBypass(url) {
+    if (REDIRECT_BYPASS_STRIP_RE.test(url)) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}${REDIRECT_BYPASS_PARAM}`;
+  }
+
+  function withoutRedirectBypass(url) {
+    return String(url).replace(REDIRECT_BYPASS_STRIP_RE, (m, lead, tail) => (tail ? lead : ''));
+  }
+
+  // Marks every URL in a src or srcset whose host has a redirect rule.
+  function bypassRedirects(value) {
+    return String(value).replace(CDN_URL_RE, url => (redirectTargets.has(hostBaseFromUrl(url)) ? withRedirectBypass(url) : url));
+  }
+
   function tupleBase(tuple) {
     return `https://${tuple.prefix}${String(tuple.number).padStart(2, '0')}.${tuple.root}.${tuple.tld}`;
   }
 
+  function originalSrcOf(img) {
+    const st = imageStates.get(img);
+    return (st && st.original.src) || '';
+  }
+
   function rememberOriginal(img, force = false) {
-    if (!img || !img.dataset) return;
-    if (force || !img.dataset.originalSrc) img.dataset.originalSrc = img.src;
-    if (img.srcset && (force || !img.dataset.originalSrcset)) img.dataset.originalSrcset = img.srcset;
+    if (!img) return;
+    const original = stateOf(img).original;
+    if (force || !original.src) original.src = withoutRedirectBypass(img.src);
+    if (img.srcset && (force || !original.srcset)) original.srcset = img.srcset;
   }
 
   function restoreOriginal(img) {
-    if (!img || !img.dataset || !img.dataset.originalSrc) return false;
-    img.src = img.dataset.originalSrc;
-    if (img.dataset.originalSrcset) img.srcset = img.dataset.originalSrcset;
+    if (!img || !originalSrcOf(img)) return false;
+    const st = stateOf(img);
+    forgetFix(img);
+    st.fixed = false;
+    writeAttr(img, 'src', bypassRedirects(st.original.src));
+    for (const el of [img, ...pictureSources(img)]) {
+      const original = stateOf(el).original;
+      for (const attr of REWRITTEN_ATTRS) {
+        if (original[attr]) writeAttr(el, attr, bypassRedirects(original[attr]));
+      }
+    }
     return true;
   }
 
   function applyUrlAndSrcset(img, newUrl, newBase) {
+    const oldBase = hostBaseFromUrl(img.src);
     img.referrerPolicy = 'no-referrer';
-    img.src = newUrl;
+    writeAttr(img, 'src', newUrl);
     if (img.srcset) {
       const newSrcset = rewriteSrcsetToBase(img.srcset, newBase);
-      if (newSrcset) img.srcset = newSrcset;
+      if (newSrcset) writeAttr(img, 'srcset', newSrcset);
+    }
+    // A <source> the browser prefers would otherwise keep loading the dead host.
+    if (!newBase) return;
+    for (const source of pictureSources(img)) {
+      for (const attr of ['srcset', 'data-srcset']) {
+        const value = source.getAttribute(attr);
+        if (value && value.includes(oldBase)) rewriteSrcsetAttr(source, attr, newBase);
+      }
     }
   }
 
-  function commitPreemptiveDatasetWin(img, hostJson, badBase) {
-    try {
-      const tuple = safeJsonParse(hostJson);
-      if (!isHostTuple(tuple)) return null;
+  function pictureSources(img) {
+    const parent = img.parentElement;
+    if (!parent || parent.tagName !== 'PICTURE') return [];
+    return Array.from(parent.children).filter(el => el.tagName === 'SOURCE');
+  }
 
-      swarmHostMap.set(badBase, tuple);
-      const meta = persistentHostMeta.get(badBase);
-      if (meta) {
-        meta.host = tuple;
-        meta.lastUsed = nowMs();
-      } else {
-        persistentHostMeta.set(badBase, { host: tuple, lastUsed: nowMs() });
+  // Attributes besides src whose untouched value restoreOriginal puts back.
+  const REWRITTEN_ATTRS = ['srcset', 'data-src', 'data-srcset'];
+
+  function rewriteSrcsetAttr(el, attr, newBase = null) {
+    const value = el.getAttribute(attr);
+    if (!value) return false;
+    const base = newBase || knownBaseForSrcset(value);
+    if (!base) return false;
+    const next = rewriteSrcsetToBase(value, base);
+    if (!next || next === value) return false;
+    const original = stateOf(el).original;
+    if (!original[attr]) original[attr] = value;
+    writeAttr(el, attr, next);
+    return true;
+  }
+
+  // Returns { url, source } for a URL this page or the shared database already knows how to fix.
+  function knownFixFor(url, parsed = null) {
+    const meta = persistentUrlMeta.get(url);
+    if (meta && meta.fixedUrl && !isMappingStale(meta)) return { url: meta.fixedUrl, source: 'exact-url' };
+    const p = parsed || parseSubdomain(url);
+    if (!p) return null;
+    const known = swarmHostMap.get(toBase(p));
+    if (!known) return null;
+    return { url: `${tupleBase(known)}${p.path}`, source: 'swarm' };
+  }
+
+  function knownBaseForSrcset(srcset) {
+    const m = String(srcset).match(HOST_REWRITE_RE);
+    if (!m) return null;
+    const p = parseSubdomain(`${m[0]}/`);
+    const known = p && swarmHostMap.get(toBase(p));
+    return known ? tupleBase(known) : null;
+  }
+
+  // The page's lazy loader copies data-src/data-srcset into src/srcset later; rewriting
+  // them first means the dead host is never requested at all.
+  function rewriteLazyAttributes(img, badBase = null, newBase = null) {
+    const dataSrc = img.getAttribute('data-src');
+    const parsed = dataSrc && parseSubdomain(dataSrc);
+    if (parsed && (!badBase || toBase(parsed) === badBase)) {
+      const fixed = newBase
+        ? { url: `${newBase}${parsed.path}`, source: 'swarm' }
+        : knownFixFor(dataSrc, parsed);
+      if (fixed && fixed.url !== dataSrc) {
+        const original = stateOf(img).original;
+        if (!original['data-src']) original['data-src'] = dataSrc;
+        writeAttr(img, 'data-src', fixed.url);
+        if (!img.src || !parseSubdomain(img.src)) recordFix(img, fixed.source, fixed.url);
       }
+    }
 
-      if (img.dataset.originalSrc) {
-        persistentUrlMeta.set(img.dataset.originalSrc, { fixedUrl: img.src, lastUsed: nowMs() });
+    for (const el of [img, ...pictureSources(img)]) {
+      for (const attr of el === img ? ['data-srcset'] : ['srcset', 'data-srcset']) {
+        const value = el.getAttribute(attr);
+        if (!value || (badBase && !value.includes(badBase))) continue;
+        rewriteSrcsetAttr(el, attr, newBase);
       }
-      schedulePersist();
+    }
+  }
+
+  function commitPreemptiveWin(img, tuple, badBase) {
+    try {
+      if (!isHostTuple(tuple) || !badBase) return null;
+
+      swarmHostMap.set(badBase, tuple);
+      rememberWin(badBase, tuple, originalSrcOf(img), img.src);
       return tuple;
     } catch {
       return null;
@@ -658,8 +1942,6 @@
     return { root: parts.slice(0, -1).join('.').toLowerCase(), tld: parts[parts.length - 1].toLowerCase() };
   }
 
-  const ALL_ROOT_ENTRIES = ALL_ROOTS.map(rootEntry).filter(Boolean);
-
   function getPrefixOrder(parsed) {
     const primary = isMpRootLabel(parsed.root) ? PREFIX_PRIORITY_MP : PREFIX_PRIORITY_MB;
     const seen = new Set();
@@ -706,127 +1988,287 @@
 
     return [
       { root: parsed.root, tld: parsed.tld },
-      ...priorityEntries,
-      ...rest
+      ...insertDiscoveredRoots([...priorityEntries, ...rest], parsed)
     ];
   }
 
-  function probeUrl(url, timeout = PROBE_TIMEOUT) {
-    return new Promise((resolve, reject) => {
-      const cacheKey = hostBaseFromUrl(url);
-      if (isTemporarilyFailedHost(cacheKey)) {
-        reject('cached-fail');
-        return;
+  // Every probe goes through one page-wide queue: at most PROBE_GLOBAL_CAP in flight,
+  // PROBE_HOST_CAP per host with PROBE_HOST_INTERVAL between starts, and probes serving
+  // images in or near the viewport ahead of the rest. Bursts against one CDN get throttled.
+  const probeQueue = [];
+  const probeHostState = new Map();
+  let probesActive = 0;
+  let probeSeq = 0;
+  let probePumpTimer = null;
+
+  function probeUrl(url, timeout = PROBE_TIMEOUT, badBase = null) {
+    return probeUrlCancelable(url, timeout, badBase).promise;
+  }
+
+  // The timeout only starts once the probe leaves the queue. A check only asks whether
+  // the URL loads: it takes a slot like any probe but leaves breakers and host stats alone.
+  function probeUrlCancelable(url, timeout = PROBE_TIMEOUT, badBase = null, check = false) {
+    if (!check && isTemporarilyFailedHost(hostBaseFromUrl(url))) {
+      trace(badBase || 'probes', 'probe', { url, outcome: 'cached-fail', ms: 0 });
+      return { promise: Promise.reject('cached-fail'), cancel: () => {} };
+    }
+
+    const task = {
+      url,
+      timeout,
+      badBase,
+      check,
+      host: hostOfUrl(url) || hostBaseFromUrl(url),
+      seq: ++probeSeq,
+      queuedAt: perfNow(),
+      startedAt: 0,
+      state: 'queued',
+      cancelRunning: null,
+      resolve: null,
+      reject: null
+    };
+    const promise = new Promise((resolve, reject) => {
+      task.resolve = resolve;
+      task.reject = reject;
+    });
+
+    // Whoever still awaits a cancelled probe gets 'cancelled', which callers treat as a skip.
+    const cancel = () => {
+      if (task.state === 'queued') {
+        const i = probeQueue.indexOf(task);
+        if (i >= 0) probeQueue.splice(i, 1);
+        task.state = 'done';
+        traceProbe(task, 'cancelled');
+        task.reject('cancelled');
+      } else if (task.state === 'running') {
+        task.cancelRunning();
+        finishProbeTask(task);
+        traceProbe(task, 'cancelled');
+        task.reject('cancelled');
+      }
+    };
+
+    probeQueue.push(task);
+    pumpProbeQueue();
+    return { promise, cancel };
+  }
+
+  function isProbeUrgent(badBase, cache) {
+    if (!badBase) return false;
+    if (cache.has(badBase)) return cache.get(badBase);
+    let urgent = false;
+    for (const img of indexedImages(imagesByBase, badBase)) {
+      if (img.src && img.src.startsWith(badBase) && isInOrNearViewport(img)) {
+        urgent = true;
+        break;
       }
-      
-      const img = new Image();
-      img.referrerPolicy = 'no-referrer';
+    }
+    cache.set(badBase, urgent);
+    return urgent;
+  }
+
+  function probeHostWait(host, now) {
+    const st = probeHostState.get(host);
+    if (!st) return 0;
+    if (st.active >= PROBE_HOST_CAP) return Infinity;
+    return Math.max(0, st.lastStart + PROBE_HOST_INTERVAL - now);
+  }
+
+  function pumpProbeQueue() {
+    if (probePumpTimer) {
+      ENV.clearTimeout(probePumpTimer);
+      probePumpTimer = null;
+    }
+
+    const urgency = new Map();
+    probeQueue.sort((a, b) => {
+      const ua = isProbeUrgent(a.badBase, urgency) ? 0 : 1;
+      const ub = isProbeUrgent(b.badBase, urgency) ? 0 : 1;
+      return ua - ub || a.seq - b.seq;
+    });
+
+    const now = perfNow();
+    let wakeIn = Infinity;
+    for (let i = 0; i < probeQueue.length && probesActive < PROBE_GLOBAL_CAP;) {
+      const task = probeQueue[i];
+      const wait = probeHostWait(task.host, now);
+      if (wait > 0) {
+        wakeIn = Math.min(wakeIn, wait);
+        i++;
+        continue;
+      }
+      probeQueue.splice(i, 1);
+      startProbeTask(task, now);
+    }
+
+    if (probeQueue.length && probesActive < PROBE_GLOBAL_CAP && Number.isFinite(wakeIn)) {
+      probePumpTimer = ENV.setTimeout(() => {
+        probePumpTimer = null;
+        pumpProbeQueue();
+      }, wakeIn);
+    }
+  }
+
+  // ms is time on the wire; waited is time spent in the queue before that.
+  function traceProbe(task, outcome) {
+    if (!DIAGNOSTICS) return;
+    const now = perfNow();
+    const startedAt = task.startedAt || now;
+    trace(task.badBase || 'probes', task.check ? 'check' : 'probe', {
+      url: task.url,
+      outcome,
+      ms: Math.round(now - startedAt),
+      waited: Math.round(startedAt - task.queuedAt)
+    });
+  }
+
+  function startProbeTask(task, now) {
+    // The breaker may have tripped while the probe sat in the queue.
+    if (!task.check && !acquireHostProbe(hostBaseFromUrl(task.url))) {
+      task.state = 'done';
+      traceProbe(task, 'cached-fail');
+      task.reject('cached-fail');
+      return;
+    }
+
+    const st = probeHostState.get(task.host) || { active: 0, lastStart: 0 };
+    st.active += 1;
+    st.lastStart = now;
+    probeHostState.set(task.host, st);
+    probesActive += 1;
+    task.state = 'running';
+    task.startedAt = now;
+
+    const { promise, cancel } = (task.check ? runCheck : runProbe)(task.url, task.timeout);
+    task.cancelRunning = cancel;
+    promise.then(
+      (v) => {
+        finishProbeTask(task);
+        traceProbe(task, 'ok');
+        task.resolve(v);
+      },
+      (e) => {
+        finishProbeTask(task);
+        traceProbe(task, String(e));
+        task.reject(e);
+      }
+    );
+  }
+
+  function finishProbeTask(task) {
+    if (task.state !== 'running') return;
+    task.state = 'done';
+    probesActive = Math.max(0, probesActive - 1);
+    const st = probeHostState.get(task.host);
+    if (st) {
+      st.active = Math.max(0, st.active - 1);
+      if (st.active === 0 && perfNow() - st.lastStart >= PROBE_HOST_INTERVAL) probeHostState.delete(task.host);
+    }
+    pumpProbeQueue();
+  }
+
+  // Probe backend for pages: a detached, referrer-less <img>. Resolves with the decoded
+  // size or rejects with 'error'; cancel() abandons the request.
+  function loadProbeImage(url) {
+    const img = new Image();
+    img.referrerPolicy = 'no-referrer';
+    try {
+      img.decoding = 'async';
+      img.fetchPriority = 'low';
+    } catch {
+    }
+    const promise = new Promise((resolve, reject) => {
+      img.onload = () => resolve({ width: img.naturalWidth || img.width, height: img.naturalHeight || img.height });
+      img.onerror = () => reject('error');
+    });
+    img.src = url;
+
+    const cancel = () => {
       try {
-        img.decoding = 'async';
-        img.fetchPriority = 'low';
+        img.onload = null;
+        img.onerror = null;
+        img.src = 'data:,';
       } catch {
       }
-      
-      let timedOut = false;
-      const t = setTimeout(() => {
-        timedOut = true;
-        try {
-          img.onload = null;
-          img.onerror = null;
-          img.src = 'data:,';
-        } catch {
-        }
-        markHostFailed(cacheKey, 'timeout');
+    };
+    return { promise, cancel };
+  }
+
+  function runCheck(url, timeout) {
+    const load = ENV.loadImage(url);
+    let t = null;
+    const promise = new Promise((resolve, reject) => {
+      t = ENV.setTimeout(() => {
+        load.cancel();
         reject('timeout');
       }, timeout);
-
-      img.onload = () => {
-        if (!timedOut) {
-          clearTimeout(t);
-          if (img.width > 1 || img.height > 1) {
-            resolve(true);
-          } else {
-            markHostFailed(cacheKey, 'empty');
-            reject('empty');
-          }
-        }
-      };
-      
-      img.onerror = () => {
-        if (!timedOut) {
-          clearTimeout(t);
-          markHostFailed(cacheKey, 'error');
-          reject('error');
-        }
-      };
-      
-      img.src = url;
+      load.promise.then(({ width: w, height: h }) => {
+        ENV.clearTimeout(t);
+        if (w > 1 || h > 1) resolve(true);
+        else reject('empty');
+      }, () => {
+        ENV.clearTimeout(t);
+        reject('error');
+      });
     });
+    const cancel = () => {
+      ENV.clearTimeout(t);
+      load.cancel();
+    };
+    return { promise, cancel };
   }
 
-  function probeUrlCancelable(url, timeout = PROBE_TIMEOUT) {
-    const cacheKey = hostBaseFromUrl(url);
-    if (isTemporarilyFailedHost(cacheKey)) {
-      return { promise: Promise.reject('cached-fail'), cancel: () => {} };
-    }
+  function runProbe(url, timeout) {
+    const cacheKey = hostBaseFromUrl(url);
 
-    const img = new Image();
-    img.referrerPolicy = 'no-referrer';
-    try {
-      img.decoding = 'async';
-      img.fetchPriority = 'low';
-    } catch {
-    }
+    const startedAt = perfNow();
+    const load = ENV.loadImage(redirectTargets.has(cacheKey) ? withRedirectBypass(url) : url);
     let settled = false;
-    let timedOut = false;
     let t = null;
 
     const promise = new Promise((resolve, reject) => {
-      t = setTimeout(() => {
+      t = ENV.setTimeout(() => {
         if (settled) return;
-        timedOut = true;
         settled = true;
-        try {
-          img.onload = null;
-          img.onerror = null;
-          img.src = 'data:,';
-        } catch {
-        }
+        load.cancel();
         markHostFailed(cacheKey, 'timeout');
         reject('timeout');
       }, timeout);
 
-      img.onload = () => {
-        if (settled || timedOut) return;
+      load.promise.then(({ width: w, height: h }) => {
+        if (settled) return;
         settled = true;
-        clearTimeout(t);
-        if (img.width > 1 || img.height > 1) resolve(true);
-        else {
+        ENV.clearTimeout(t);
+        if (!(w > 1 || h > 1)) {
           markHostFailed(cacheKey, 'empty');
           reject('empty');
+        } else if (isDecoyImage(url, w, h)) {
+          noteDecoyPrint(w, h);
+          markHostFailed(cacheKey, 'decoy');
+          reject('decoy');
+        } else {
+          recordChapterShape(url, w, h);
+          noteHostOutcome(url, 'hits');
+          markHostSucceeded(cacheKey);
+          recordBestHostSuccess(hostOfUrl(url), perfNow() - startedAt);
+          resolve(true);
         }
-      };
-
-      img.onerror = () => {
-        if (settled || timedOut) return;
+      }, () => {
+        if (settled) return;
         settled = true;
-        clearTimeout(t);
+        ENV.clearTimeout(t);
         markHostFailed(cacheKey, 'error');
         reject('error');
-      };
-
-      img.src = url;
+      });
     });
 
     const cancel = () => {
       if (settled) return;
       settled = true;
-      try { if (t) clearTimeout(t); } catch { }
-      try {
-        img.onload = null;
-        img.onerror = null;
-        img.src = 'data:,';
-      } catch { }
+      const b = hostBreakers.get(cacheKey);
+      if (b) b.trialStartedAt = 0;
+      ENV.clearTimeout(t);
+      load.cancel();
     };
 
     return { promise, cancel };
@@ -851,19 +2293,24 @@
   }
 
   function generateCandidates(parsed) {
+    const badBase = toBase(parsed);
+    if (swarmHostMap.has(badBase)) {
+      return [`${tupleBase(swarmHostMap.get(badBase))}${parsed.path}`];
+    }
+
+    const quotaCandidates = generateQuotaCandidates(parsed);
+    if (!hasCandidateHistory(parsed)) return quotaCandidates;
+    return rankCandidatesByHistory(parsed, quotaCandidates);
+  }
+
+  // Static layout used until enough history exists to rank candidates.
+  function generateQuotaCandidates(parsed) {
     const candidates = [];
 
     const add = (p, n, r, t) => {
       candidates.push(`https://${p}${String(n).padStart(2, '0')}.${r}.${t}${parsed.path}`);
     };
 
-    const badBase = toBase(parsed);
-    if (swarmHostMap.has(badBase)) {
-      const h = swarmHostMap.get(badBase);
-      add(h.prefix, h.number, h.root, h.tld);
-      return candidates;
-    }
-
     const cacheKey = serverCacheKey(parsed);
     if (serverCache.has(cacheKey)) {
       const cached = serverCache.get(cacheKey);
@@ -978,43 +2425,26 @@
 
   function applyMpFamilyPreemptive(img, hostTuple, parsed, badBase) {
     if (!img || !hostTuple || !parsed || !badBase) return false;
-    if (img.dataset.batoMpFamilyPreemptive === 'true') return true;
-    if (img.dataset.batoPreemptive === 'true') return false;
+    const pending = stateOf(img).preemptive;
+    if (pending) return pending.kind === 'mp-family';
 
     const newBase = tupleBase(hostTuple);
     const newUrl = `${newBase}${parsed.path}`;
 
     rememberOriginal(img);
-
-    img.dataset.batoMpFamilyBadBase = badBase;
-    if (!img.dataset.batoMpFamilyHost) {
-      img.dataset.batoMpFamilyHost = JSON.stringify({
-        prefix: hostTuple.prefix,
-        number: hostTuple.number,
-        root: hostTuple.root,
-        tld: hostTuple.tld
-      });
-    }
-
     applyUrlAndSrcset(img, newUrl, newBase);
+    recordFix(img, 'mp-family', newUrl);
 
-    img.dataset.batoMpFamilyPreemptive = 'true';
-    setTimeout(() => checkImage(img), K_PREEMPTIVE_VERIFY_DELAY);
+    beginPreemptive(img, 'mp-family', badBase, hostTuple);
+    verifyImage(img);
     return true;
   }
 
   function broadcastMpFamilyPreemptive(hostTuple) {
-    const hostJson = JSON.stringify({
-      prefix: hostTuple.prefix,
-      number: hostTuple.number,
-      root: hostTuple.root,
-      tld: hostTuple.tld
-    });
-    document.querySelectorAll('img').forEach(img => {
+    indexedImages(imagesByFamily, 'mp').forEach(img => {
       if (!img || img.tagName !== 'IMG' || !img.src) return;
-      if (img.dataset.batoFixed === 'true') return;
-      if (img.dataset.batoMpFamilyPreemptive === 'true') return;
-      if (img.dataset.batoPreemptive === 'true') return;
+      const st = stateOf(img);
+      if (st.fixed || st.preemptive) return;
 
       const p = parseSubdomain(img.src);
       if (!p) return;
@@ -1023,8 +2453,6 @@
       const badBase = toBase(p);
       if (swarmHostMap.has(badBase)) return;
 
-      img.dataset.batoMpFamilyHost = hostJson;
-
       applyMpFamilyPreemptive(img, hostTuple, p, badBase);
     });
   }
@@ -1034,69 +2462,60 @@
     const parsed = originalParsed || parseSubdomain(img.src);
     if (!parsed) return;
 
-    const oldUrl = img.src;
+    rememberOriginal(img);
+    const oldUrl = withoutRedirectBypass(img.src);
     const newBase = tupleBase(hostTuple);
     const newUrl = `${newBase}${parsed.path}`;
     try {
       const badBase = toBase(parsed);
       swarmHostMap.set(badBase, hostTuple);
-      const meta = persistentHostMeta.get(badBase);
-      if (meta) {
-        meta.host = hostTuple;
-        meta.lastUsed = nowMs();
-      } else {
-        persistentHostMeta.set(badBase, { host: hostTuple, lastUsed: nowMs() });
-      }
-
-      persistentUrlMeta.set(oldUrl, { fixedUrl: newUrl, lastUsed: nowMs() });
-      schedulePersist();
+      rememberWin(badBase, hostTuple, oldUrl, newUrl);
     } catch {
     }
     applyUrlAndSrcset(img, newUrl, newBase);
   }
 
   function applyKnownSwarmFixIfAny(img, parsed = null) {
-    if (img && img.dataset && img.dataset.batoFixed === 'true') return false;
+    if (img && stateOf(img).fixed) return false;
     const p = parsed || parseSubdomain(img.src);
     if (!p) return false;
     const badBase = toBase(p);
     const known = swarmHostMap.get(badBase);
-    if (!known) return false;
+    if (!known) {
+      // A stale mapping is checked first; if it holds, the win reaches this image too.
+      if (persistentHostMeta.has(badBase)) revalidateHostMapping(badBase, p);
+      return false;
+    }
 
     rememberOriginal(img);
-
-    img.dataset.batoSwarmPreemptive = 'true';
-    img.dataset.batoFixing = 'true';
-
-    try {
-      img.dataset.batoSwarmBadBase = badBase;
-      img.dataset.batoSwarmHost = JSON.stringify({
-        prefix: known.prefix,
-        number: known.number,
-        root: known.root,
-        tld: known.tld
-      });
-    } catch {
-    }
+    beginPreemptive(img, 'swarm', badBase, known);
+    setPhase(img, 'fixing');
 
     const newBase = tupleBase(known);
     const newUrl = `${newBase}${p.path}`;
     applyUrlAndSrcset(img, newUrl, newBase);
+    recordFix(img, 'swarm', newUrl);
 
-    img.dataset.batoFixing = 'done';
-    img.dataset.batoFixed = 'true';
+    markFixed(img);
 
     return true;
   }
 
   function applyExactUrlFixIfAny(img) {
-    const meta = persistentUrlMeta.get(img.src);
+    const badUrl = withoutRedirectBypass(img.src);
+    const meta = persistentUrlMeta.get(badUrl);
     if (!meta || !meta.fixedUrl) return false;
+    if (isMappingStale(meta)) {
+      revalidateUrlMapping(badUrl).then(ok => {
+        if (!ok || withoutRedirectBypass(img.src) !== badUrl || stateOf(img).fixed) return;
+        if (applyExactUrlFixIfAny(img)) verifyImage(img);
+      });
+      return false;
+    }
 
     rememberOriginal(img);
-
-    img.dataset.batoUrlPreemptive = 'true';
-    img.dataset.batoFixing = 'true';
+    beginPreemptive(img, 'url');
+    setPhase(img, 'fixing');
 
     const fixed = meta.fixedUrl;
     let fixedBase = null;
@@ -1105,67 +2524,117 @@
     } catch {
     }
     applyUrlAndSrcset(img, fixed, fixedBase);
+    recordFix(img, 'exact-url', fixed);
 
-    img.dataset.batoFixing = 'done';
-    img.dataset.batoFixed = 'true';
+    markFixed(img);
 
     meta.lastUsed = nowMs();
-    schedulePersist();
+    queueUrlReport(badUrl, meta);
     return true;
   }
 
-  function broadcastSwarmFix(badBase, goodHostTuple) {
+  // pendingOnly leaves images that already loaded from badBase alone; used for winners
+  // reported by other tabs, where this tab never saw the host fail.
+  function broadcastSwarmFix(badBase, goodHostTuple, pendingOnly = false) {
     const updated = [];
     const newBase = `https://${goodHostTuple.prefix}${String(goodHostTuple.number).padStart(2, '0')}.${goodHostTuple.root}.${goodHostTuple.tld}`;
-    document.querySelectorAll('img').forEach(img => {
+    applyFixToBackgrounds(badBase, goodHostTuple);
+    indexedImages(imagesByBase, badBase).forEach(img => {
+      rewriteLazyAttributes(img, badBase, newBase);
       const src = img && img.src;
       if (!src) return;
       if (!src.startsWith(badBase)) return;
+      if (pendingOnly && isImageLoaded(img)) return;
 
       const p = parseSubdomain(src);
       if (!p) return;
 
-      const oldUrl = src;
+      const oldUrl = withoutRedirectBypass(src);
       const newUrl = `${newBase}${p.path}`;
 
-      img.dataset.batoFixing = 'true';
+      rememberOriginal(img);
+      setPhase(img, 'fixing');
       try {
         swarmHostMap.set(badBase, goodHostTuple);
-        const meta = persistentHostMeta.get(badBase);
-        if (meta) {
-          meta.host = goodHostTuple;
-          meta.lastUsed = nowMs();
-        } else {
-          persistentHostMeta.set(badBase, { host: goodHostTuple, lastUsed: nowMs() });
-        }
-        persistentUrlMeta.set(oldUrl, { fixedUrl: newUrl, lastUsed: nowMs() });
-        schedulePersist();
+        rememberWin(badBase, goodHostTuple, oldUrl, newUrl);
       } catch {
       }
 
-      img.src = newUrl;
+      writeAttr(img, 'src', newUrl);
       if (img.srcset) {
         const newSrcset = rewriteSrcsetToBase(img.srcset, newBase);
-        if (newSrcset) img.srcset = newSrcset;
+        if (newSrcset) writeAttr(img, 'srcset', newSrcset);
       }
+      recordFix(img, 'swarm', newUrl);
 
-      img.dataset.batoFixing = 'done';
-      img.dataset.batoFixed = 'true';
+      markFixed(img);
       updated.push(img);
     });
 
     return updated;
   }
 
+  // The first probe to answer is not always the host we want every later page to use.
+  // If a host known to be healthy and much faster is still in flight, give it a short
+  // grace period and keep it as the winner when it lands.
+  async function preferFasterHealthyWinner(okUrl, inFlight, elapsedMs) {
+    const faster = inFlight.filter(({ url }) => {
+      if (url === okUrl) return false;
+      const host = hostOfUrl(url);
+      if (!isKnownHealthyHost(host)) return false;
+      const p50 = latencyPercentile(bestHostStats.get(host), 0.5);
+      return p50 !== null && p50 < elapsedMs * LATENCY_PREFER_RATIO;
+    });
+    if (faster.length === 0) return okUrl;
+
+    const grace = Math.min(LATENCY_GRACE_MAX, elapsedMs);
+    try {
+      return await Promise.race([
+        promiseAny(faster.map(f => f.promise)),
+        new Promise((resolve, reject) => ENV.setTimeout(() => reject('grace'), grace))
+      ]);
+    } catch {
+      return okUrl;
+    }
+  }
+
+  // Once a full sweep for a bad base has come up empty, retry rounds only recheck hosts
+  // that have served before and the preflight pool; a manual retry sweeps again.
+  function retryRoundCandidates(parsed, candidates) {
+    const badBase = toBase(parsed);
+    const family = rootFamily(parsed.root);
+    const winners = Array.from(bestHostStats.entries())
+      .filter(([, meta]) => (meta.hits || 0) > 0)
+      .sort((a, b) => bestHostScore(b[1]) - bestHostScore(a[1]))
+      .map(([host]) => `https://${host}${parsed.path}`);
+    const pool = new Set(BEST_FULL_HOSTS || []);
+    const out = [];
+    for (const url of [...winners, ...candidates.filter(url => pool.has(hostOfUrl(url)))]) {
+      if (out.length >= RETRY_ROUND_PROBES) break;
+      const p = parseSubdomain(url);
+      if (!p || rootFamily(p.root) !== family || toBase(p) === badBase) continue;
+      if (out.includes(url) || isTemporarilyFailedHost(toBase(p))) continue;
+      out.push(url);
+    }
+    return out;
+  }
+
   async function leaderProbeAndSwarm(parsed) {
     const badBase = toBase(parsed);
+    const revalidated = await revalidateHostMapping(badBase, parsed);
+    if (revalidated) return revalidated;
+
     const preflightTuple = await tryBestFullHostsPreflight(parsed, 4);
     if (preflightTuple) {
       return commitSwarmWin(badBase, preflightTuple, parsed, true);
     }
 
-    const candidates = generateCandidates(parsed);
+    const candidates = leaderFailures.has(badBase)
+      ? retryRoundCandidates(parsed, generateCandidates(parsed))
+      : generateCandidates(parsed);
+    trace(badBase, 'candidates', { urls: candidates });
     let lastError = null;
+    let tried = 0;
 
     if (isMpRootLabel(parsed.root)) {
       const family = getMpFamilyWinner();
@@ -1180,24 +2649,34 @@
           familyWait.cancel();
           return early;
         }
+        if (swarmHostMap.has(badBase)) {
+          familyWait.cancel();
+          return swarmHostMap.get(badBase);
+        }
 
         const batch = [];
         const cancels = [];
+        const inFlight = [];
+        const batchStartedAt = perfNow();
         for (let j = 0; j < PROBE_PARALLEL && i + j < maxParallel; j++) {
           const url = candidates[i + j];
           const serverPattern = hostBaseFromUrl(url);
           if (isTemporarilyFailedHost(serverPattern)) continue;
           const timeout = PROBE_TIMEOUT + Math.min(4000, (i + j) * 250);
-          const { promise, cancel } = probeUrlCancelable(url, timeout);
+          const { promise, cancel } = probeUrlCancelable(url, timeout, badBase);
+          tried++;
           cancels.push(cancel);
-          batch.push(promise.then(() => url));
+          const settledUrl = promise.then(() => url);
+          batch.push(settledUrl);
+          inFlight.push({ url, promise: settledUrl });
         }
 
         try {
-          const okUrl = await Promise.race([
+          const firstUrl = await Promise.race([
             promiseAny(batch),
             familyWait.promise.then(() => { throw 'family-win'; })
           ]);
+          const okUrl = await preferFasterHealthyWinner(firstUrl, inFlight, perfNow() - batchStartedAt);
           for (const c of cancels) c();
 
           const successParsed = parseSubdomain(okUrl);
@@ -1206,7 +2685,7 @@
           const tuple = toHostTuple(successParsed);
           return commitSwarmWin(badBase, tuple, parsed);
         } catch (e) {
-          lastError = e;
+          if (e !== 'cancelled') lastError = e;
           for (const c of cancels) c();
           if (e === 'family-win') {
             const t = getMpFamilyWinner();
@@ -1224,6 +2703,7 @@
     }
 
     for (let i = 0; i < candidates.length; i++) {
+      if (swarmHostMap.has(badBase)) return swarmHostMap.get(badBase);
       const url = candidates[i];
 
       const serverPattern = hostBaseFromUrl(url);
@@ -1231,7 +2711,8 @@
 
       try {
         const timeout = PROBE_TIMEOUT + Math.min(4000, i * 250);
-        await probeUrl(url, timeout);
+        tried++;
+        await probeUrl(url, timeout, badBase);
 
         const successParsed = parseSubdomain(url);
         if (!successParsed) continue;
@@ -1243,21 +2724,47 @@
         if (e === 'timeout' && i > 18) break;
       }
     }
+    // A retry round with every host still in backoff keeps the last real failure.
+    if (tried > 0 || !leaderFailures.has(badBase)) leaderFailures.set(badBase, { tried, error: String(lastError || 'failed') });
     throw lastError || 'failed';
   }
 
-  async function fixImage(img, isRetry = false) {
+  // One leader probes per bad base; everyone else waits on its answer.
+  function swarmLeaderFor(parsed, el = null) {
+    const badBase = toBase(parsed);
+    let leaderPromise = swarmLeaderPromises.get(badBase);
+    trace(el, 'leader', { badBase, role: leaderPromise ? 'follower' : 'leader' });
+    if (!leaderPromise) {
+      trace(badBase, 'leader-elected', { path: parsed.path });
+      leaderPromise = (async () => {
+        try {
+          const tuple = await leaderProbeAndSwarm(parsed);
+          trace(badBase, 'leader-won', { host: tupleBase(tuple) });
+          return tuple;
+        } catch (e) {
+          trace(badBase, 'leader-failed', leaderFailures.get(badBase) || { error: String(e || 'failed') });
+          throw e;
+        } finally {
+          swarmLeaderPromises.delete(badBase);
+        }
+      })();
+      swarmLeaderPromises.set(badBase, leaderPromise);
+    }
+    return leaderPromise;
+  }
+
+  async function fixImage(img) {
     if (processingImages.has(img)) return;
     
-    if (img.dataset.batoFixing === "done" || 
-        (img.dataset.batoFixing === "true" && !isRetry)) return;
+    const phase = stateOf(img).phase;
+    if (phase === 'done' || phase === 'fixing') return;
     
     processingImages.add(img);
-    img.dataset.batoFixing = "true";
+    setPhase(img, 'fixing');
 
     const parsed = parseSubdomain(img.src);
     if (!parsed) {
-      img.dataset.batoFixing = '';
+      setPhase(img, 'idle');
       processingImages.delete(img);
       return;
     }
@@ -1273,7 +2780,7 @@
       const family = getMpFamilyWinner();
       if (family && !swarmHostMap.has(badBase)) {
         if (applyMpFamilyPreemptive(img, family, parsed, badBase)) {
-          img.dataset.batoFixing = '';
+          setPhase(img, 'idle');
           processingImages.delete(img);
           return;
         }
@@ -1282,50 +2789,204 @@
 
     if (swarmHostMap.has(badBase)) {
       applyHostToImage(img, swarmHostMap.get(badBase), parsed);
-      img.dataset.batoFixing = 'done';
-      img.dataset.batoFixed = 'true';
+      recordFix(img, 'swarm', img.src);
+      markFixed(img);
       processingImages.delete(img);
       return;
     }
 
-    let leaderPromise = swarmLeaderPromises.get(badBase);
-    if (!leaderPromise) {
-      leaderPromise = (async () => {
-        try {
-          return await leaderProbeAndSwarm(parsed);
-        } finally {
-          swarmLeaderPromises.delete(badBase);
-        }
-      })();
-      swarmLeaderPromises.set(badBase, leaderPromise);
-    }
+    const generation = stateOf(img).generation;
+    const leaderPromise = swarmLeaderFor(parsed, img);
 
-    let lastError = null;
     try {
       const tuple = await leaderPromise;
+      if (stateOf(img).generation !== generation) return;
       applyHostToImage(img, tuple, parsed);
-      img.dataset.batoFixing = 'done';
-      img.dataset.batoFixed = 'true';
+      recordFix(img, 'probe', img.src);
+      markFixed(img);
       processingImages.delete(img);
 
       return;
     } catch (e) {
-      lastError = e;
+      if (stateOf(img).generation !== generation) return;
+      stateOf(img).lastFailure = leaderFailures.get(badBase) || { tried: 0, error: String(e || 'failed') };
+      trace(img, 'unfixed', { badBase, ...stateOf(img).lastFailure });
     }
     
-    if (!isRetry && lastError === 'timeout') {
-      img.dataset.batoFixing = "retry";
-      processingImages.delete(img);
-      
-      setTimeout(() => {
-        if (img.complete && img.naturalWidth === 0) {
-          fixImage(img, true);
-        }
-      }, RETRY_DELAY);
-    } else {
-      img.dataset.batoFixing = "failed";
-      processingImages.delete(img);
+    processingImages.delete(img);
+    queueRetry(img);
+    scheduleTabStatsReport();
+  }
+
+  // Images no candidate could fix wait here with growing delays, since dead CDNs often
+  // come back within minutes. Hidden or offline tabs hold the queue until they return.
+  const retryQueue = new Map();
+  let retryTimer = null;
+
+  function retryBackoff(retries) {
+    return Math.min(RETRY_MAX_DELAY, RETRY_DELAY * Math.pow(RETRY_BACKOFF_FACTOR, retries - 1));
+  }
+
+  function queueRetry(img) {
+    const st = stateOf(img);
+    if (!img.isConnected || st.retries >= RETRY_MAX_ATTEMPTS) {
+      retryQueue.delete(img);
+      setPhase(img, 'failed');
+      return;
+    }
+    st.retries++;
+    setPhase(img, 'retry');
+    trace(img, 'retry-scheduled', { attempt: st.retries, delay: retryBackoff(st.retries) });
+    retryQueue.set(img, nowMs() + retryBackoff(st.retries));
+    scheduleRetryPump();
+  }
+
+  function scheduleRetryPump() {
+    if (retryTimer) ENV.clearTimeout(retryTimer);
+    retryTimer = null;
+    if (retryQueue.size === 0) return;
+    const next = Math.min(...retryQueue.values());
+    retryTimer = ENV.setTimeout(pumpRetryQueue, Math.max(0, next - nowMs()));
+  }
+
+  function pumpRetryQueue() {
+    retryTimer = null;
+    if (DOC.hidden || WIN.navigator.onLine === false) return;
+    const now = nowMs();
+    for (const [img, dueAt] of Array.from(retryQueue)) {
+      if (dueAt > now) continue;
+      retryQueue.delete(img);
+      if (!img.isConnected || stateOf(img).phase !== 'retry') continue;
+      if (isImageBroken(img)) fixImage(img);
+      else setPhase(img, 'idle');
+    }
+    scheduleRetryPump();
+  }
+
+  // Pulls matching queued images forward to now; the backoff count is kept.
+  function retryQueuedNow(predicate = null) {
+    let changed = false;
+    for (const img of retryQueue.keys()) {
+      if (predicate && !predicate(img)) continue;
+      retryQueue.set(img, 0);
+      changed = true;
+    }
+    if (changed) scheduleRetryPump();
+  }
+
+  // A win for one host says the family's CDN is answering again.
+  function retryRelatedTo(badBase) {
+    const won = parseSubdomain(`${badBase}/`);
+    if (!won) return;
+    const family = rootFamily(won.root);
+    retryQueuedNow(img => {
+      const p = parseSubdomain(img.src);
+      return !!p && (toBase(p) === badBase || rootFamily(p.root) === family);
+    });
+  }
+
+  // Images left in 'failed' get a small notice right after them saying what was tried,
+  // with a manual retry and a way back to the site's own URL. A closed shadow root keeps
+  // page styles and scripts out of it.
+  const FAILURE_OVERLAY_CSS = `
+    :host { all: initial; display: block; margin: 4px 0; text-align: center; }
+    .notice { display: inline-flex; flex-wrap: wrap; align-items: center; gap: 8px; padding: 4px 10px;
+      border-radius: 4px; background: rgba(33, 33, 33, 0.85); color: #fff; font: 12px/1.4 system-ui, sans-serif; }
+    button { font: inherit; color: inherit; background: transparent; cursor: pointer;
+      border: 1px solid rgba(255, 255, 255, 0.5); border-radius: 3px; padding: 1px 8px; }
+  `;
+
+  function describeFailure(failure) {
+    if (!failure) return 'Image could not be repaired.';
+    const tried = failure.tried === 1 ? '1 candidate host' : `${failure.tried} candidate hosts`;
+    return `Image could not be repaired: tried ${tried}, last error "${failure.error}".`;
+  }
+
+  function overlayButton(doc, label, onClick) {
+    const button = doc.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  function showFailureOverlay(img) {
+    const st = stateOf(img);
+    if (st.overlay || img.tagName !== 'IMG' || !img.isConnected) return;
+    const anchor = img.closest('picture') || img;
+    if (!anchor.parentNode) return;
+    try {
+      const doc = img.ownerDocument || DOC;
+      const host = doc.createElement('bato-fixer-notice');
+      const shadow = host.attachShadow({ mode: 'closed' });
+      const style = doc.createElement('style');
+      style.textContent = FAILURE_OVERLAY_CSS;
+      const notice = doc.createElement('div');
+      notice.className = 'notice';
+      const text = doc.createElement('span');
+      text.textContent = describeFailure(st.lastFailure);
+      notice.append(
+        text,
+        overlayButton(doc, 'Retry', () => retryFailedImage(img)),
+        overlayButton(doc, 'Try original', () => tryOriginalImage(img))
+      );
+      shadow.append(style, notice);
+      anchor.after(host);
+      st.overlay = host;
+    } catch {
+    }
+  }
+
+  function hideFailureOverlay(img) {
+    const st = imageStates.get(img);
+    if (!st || !st.overlay) return;
+    st.overlay.remove();
+    st.overlay = null;
+  }
+
+  // Clears go out like trips do, or the background and other tabs would hand the breaker back.
+  function clearHostBreaker(cacheKey) {
+    if (!hostBreakers.delete(cacheKey)) return;
+    queueBreakerReport(cacheKey, null);
+    announceBreaker(cacheKey, null);
+  }
+
+  // A manual retry starts the image over: no backoff, and no open breakers on the hosts
+  // it would try (the preflight pool as well as the candidates), so each is probed again.
+  // The clears reach other tabs as one batched breaker event.
+  function retryFailedImage(img) {
+    const parsed = parseSubdomain(img.src);
+    if (parsed) {
+      clearHostBreaker(toBase(parsed));
+      for (const host of BEST_FULL_HOSTS || []) clearHostBreaker(`https://${host}`);
+      for (const url of generateCandidates(parsed)) clearHostBreaker(hostBaseFromUrl(url));
+      leaderFailures.delete(toBase(parsed));
     }
+    const st = stateOf(img);
+    st.retries = 0;
+    st.lastFailure = null;
+    retryQueue.delete(img);
+    setPhase(img, 'idle');
+    fixImage(img);
+  }
+
+  // Hands the image back to the site's own URL and stops repairing it.
+  function tryOriginalImage(img) {
+    retryQueue.delete(img);
+    restoreOriginal(img);
+    endPreemptive(img);
+    setPhase(img, 'done');
+  }
+
+  function watchRetryTriggers() {
+    WIN.addEventListener('online', () => retryQueuedNow());
+    DOC.addEventListener('visibilitychange', () => {
+      if (!DOC.hidden) retryQueuedNow();
+    });
   }
 
   function preemptiveFix(img) {
@@ -1353,120 +3014,250 @@
     const newUrl = `${newBase}${parsed.path}`;
     
     rememberOriginal(img, true);
-    img.dataset.batoPreemptiveBadBase = toBase(parsed);
-    img.dataset.batoPreemptiveHost = JSON.stringify({ prefix: newPrefix, number: newNumber, root: newRoot, tld: newTld });
     applyUrlAndSrcset(img, newUrl, newBase);
     
-    img.dataset.batoPreemptive = "true";
+    beginPreemptive(img, 'prefix-swap', toBase(parsed), { prefix: newPrefix, number: newNumber, root: newRoot, tld: newTld });
     return true;
   }
 
+  // A broken image still pointing at a redirected bad base means either the redirect
+  // target is failing or the rule never applied here (no host access to the page or
+  // CDN). Only a target that fails a direct probe is blamed and loses its rule.
+  async function dropRedirectIfTargetFailing(img) {
+    const p = parseSubdomain(img.src);
+    if (!p) return;
+    const badBase = toBase(p);
+    const targetBase = redirectTargets.get(badBase);
+    if (!targetBase) return;
+
+    try {
+      await probeUrl(`${targetBase}${p.path}`, PROBE_TIMEOUT, badBase);
+      if (redirectTargets.get(badBase) === targetBase) redirectTargets.delete(badBase);
+      return;
+    } catch {
+    }
+    if (redirectTargets.get(badBase) !== targetBase) return;
+
+    markHostFailed(targetBase, 'error');
+    for (const [b, t] of Array.from(redirectTargets.entries())) {
+      if (t === targetBase) redirectTargets.delete(b);
+    }
+    sendRuntimeMessage({ type: 'redirect:targetFailed', targetBase });
+
+    swarmHostMap.delete(badBase);
+    forgetHostMapping(badBase);
+  }
+
+  // A rewrite that turns out to be a placeholder counts as broken like any other. The
+  // page's own URLs are taken as served: nothing better is known for them.
+  function isImageLoaded(img) {
+    if (!img.complete || img.naturalWidth === 0) return false;
+    const st = imageStates.get(img);
+    if (!st || !(st.preemptive || st.fixed)) return true;
+    return !(parseSubdomain(img.src) && isDecoyImage(img.src, img.naturalWidth, img.naturalHeight));
+  }
+
+  function isImageBroken(img) {
+    return img.complete && !isImageLoaded(img);
+  }
+
   function checkImage(img) {
-    if (img.dataset.batoUrlPreemptive === 'true' && img.complete && img.naturalWidth === 0) {
+    const st = stateOf(img);
+    const pre = st.preemptive;
+    trace(img, 'check', {
+      src: img.currentSrc || img.src,
+      preemptive: pre ? pre.kind : null,
+      loaded: isImageLoaded(img),
+      broken: isImageBroken(img),
+      phase: st.phase
+    });
+
+    if (pre && pre.kind === 'url' && isImageBroken(img)) {
       try {
-        if (img.dataset.originalSrc) {
-          persistentUrlMeta.delete(img.dataset.originalSrc);
-          schedulePersist();
+        if (st.original.src) {
+          forgetUrlMapping(st.original.src);
         }
       } catch {
       }
       restoreOriginal(img);
-      img.dataset.batoUrlPreemptive = 'failed';
-      img.dataset.batoFixing = '';
+      endPreemptive(img);
+      setPhase(img, 'idle');
       fixImage(img);
       return;
     }
 
-    if (img.dataset.batoSwarmPreemptive === 'true' && img.complete && img.naturalWidth > 0 && img.dataset.batoSwarmHost && img.dataset.batoSwarmBadBase) {
-      commitPreemptiveDatasetWin(img, img.dataset.batoSwarmHost, img.dataset.batoSwarmBadBase);
-      img.dataset.batoSwarmPreemptive = 'done';
-      img.dataset.batoSwarmHost = '';
-      img.dataset.batoSwarmBadBase = '';
+    if (pre && pre.kind === 'swarm' && isImageLoaded(img)) {
+      commitPreemptiveWin(img, pre.host, pre.badBase);
+      endPreemptive(img);
       return;
     }
 
-    if (img.dataset.batoSwarmPreemptive === 'true' && img.complete && img.naturalWidth === 0) {
+    if (pre && pre.kind === 'swarm' && isImageBroken(img)) {
       try {
-        const badBase = img.dataset.batoSwarmBadBase;
-        if (badBase) {
-          swarmHostMap.delete(badBase);
-          persistentHostMeta.delete(badBase);
+        if (remoteTuples.has(pre.host)) {
+          if (swarmHostMap.get(pre.badBase) === pre.host) swarmHostMap.delete(pre.badBase);
+        } else if (pre.badBase) {
+          swarmHostMap.delete(pre.badBase);
+          forgetHostMapping(pre.badBase);
         }
-        if (img.dataset.originalSrc) {
-          persistentUrlMeta.delete(img.dataset.originalSrc);
+        if (st.original.src && !remoteTuples.has(pre.host)) {
+          forgetUrlMapping(st.original.src);
         }
-        schedulePersist();
       } catch {
       }
       restoreOriginal(img);
-      img.dataset.batoSwarmPreemptive = 'failed';
-      img.dataset.batoSwarmHost = '';
-      img.dataset.batoSwarmBadBase = '';
-      img.dataset.batoFixing = '';
+      endPreemptive(img);
+      setPhase(img, 'idle');
       fixImage(img);
       return;
     }
 
-    if (img.dataset.batoMpFamilyPreemptive === 'true' && img.complete && img.naturalWidth > 0 && img.dataset.batoMpFamilyHost && img.dataset.batoMpFamilyBadBase) {
-      commitPreemptiveDatasetWin(img, img.dataset.batoMpFamilyHost, img.dataset.batoMpFamilyBadBase);
-      img.dataset.batoMpFamilyPreemptive = 'done';
-      img.dataset.batoMpFamilyHost = '';
-      img.dataset.batoMpFamilyBadBase = '';
+    if (pre && pre.kind === 'mp-family' && isImageLoaded(img)) {
+      commitPreemptiveWin(img, pre.host, pre.badBase);
+      endPreemptive(img);
       return;
     }
 
-    if (img.dataset.batoMpFamilyPreemptive === 'true' && img.complete && img.naturalWidth === 0) {
+    if (pre && pre.kind === 'mp-family' && isImageBroken(img)) {
       restoreOriginal(img);
-      img.dataset.batoMpFamilyPreemptive = 'failed';
-      img.dataset.batoMpFamilyHost = '';
-      img.dataset.batoMpFamilyBadBase = '';
+      endPreemptive(img);
       fixImage(img);
       return;
     }
 
-    if (img.dataset.batoPreemptive === "true" && img.complete && img.naturalWidth > 0 && img.dataset.batoPreemptiveHost && img.dataset.batoPreemptiveBadBase) {
-      img.dataset.batoPreemptive = "done";
-      img.dataset.batoPreemptiveHost = '';
-      img.dataset.batoPreemptiveBadBase = '';
+    if (pre && pre.kind === 'prefix-swap' && isImageLoaded(img)) {
+      recordFix(img, 'prefix-swap', img.src);
+      endPreemptive(img);
       return;
     }
 
-    if (img.dataset.batoPreemptive === "true" && img.complete && img.naturalWidth === 0) {
+    if (pre && pre.kind === 'prefix-swap' && isImageBroken(img)) {
       restoreOriginal(img);
-      img.dataset.batoPreemptive = "failed";
-      img.dataset.batoPreemptiveHost = '';
-      img.dataset.batoPreemptiveBadBase = '';
+      endPreemptive(img);
       fixImage(img);
       return;
     }
     
-    if (img.complete && img.naturalWidth === 0 && img.dataset.batoFixing !== "done") {
-      fixImage(img);
+    if (isImageBroken(img) && st.phase !== 'done') {
+      if (img.naturalWidth > 0) noteDecoyPrint(img.naturalWidth, img.naturalHeight);
+      dropRedirectIfTargetFailing(img).then(() => fixImage(img));
+    }
+  }
+
+  // Covers drawn with an inline background-image never fire load or error, so the URL is
+  // checked through the probe scheduler (a memory-cache hit when it rendered) and only a
+  // failed one, or one on a host already known bad, goes to the swarm leader.
+  const backgroundElements = new Set();
+  const backgroundsInFlight = new WeakSet();
+  const BACKGROUND_URL_RE = /url\(\s*(['"]?)(.*?)\1\s*\)/i;
+
+  function backgroundUrlOf(el) {
+    const m = BACKGROUND_URL_RE.exec((el.style && el.style.backgroundImage) || '');
+    return m ? m[2] : '';
+  }
+
+  function setBackgroundUrl(el, oldUrl, newUrl, source) {
+    const st = stateOf(el);
+    if (!st.original.background) st.original.background = oldUrl;
+    st.backgroundFixed = newUrl;
+    el.style.backgroundImage = el.style.backgroundImage.replace(oldUrl, newUrl);
+    noteOwnWrite(el, 'style');
+    recordFix(el, source, newUrl);
+  }
+
+  function backgroundLoads(url, badBase) {
+    return probeUrlCancelable(url, PROBE_TIMEOUT, badBase, true).promise.then(() => true, () => false);
+  }
+
+  function applyFixToBackgrounds(badBase, tuple) {
+    for (const el of Array.from(backgroundElements)) {
+      if (!el.isConnected) {
+        backgroundElements.delete(el);
+        continue;
+      }
+      const url = backgroundUrlOf(el);
+      if (!url.startsWith(badBase)) continue;
+      const parsed = parseSubdomain(url);
+      if (parsed) setBackgroundUrl(el, url, `${tupleBase(tuple)}${parsed.path}`, 'swarm');
+    }
+  }
+
+  async function processBackground(el) {
+    if (!el || !el.style || backgroundsInFlight.has(el)) return;
+    const url = backgroundUrlOf(el);
+    if (!url || url === stateOf(el).backgroundFixed) return;
+    const parsed = parseSubdomain(url);
+    if (!parsed) return;
+    backgroundElements.add(el);
+
+    const known = knownFixFor(url, parsed);
+    if (known) {
+      setBackgroundUrl(el, url, known.url, known.source);
+      return;
+    }
+
+    backgroundsInFlight.add(el);
+    try {
+      const badBase = toBase(parsed);
+      const knownBad = isTemporarilyFailedHost(badBase) || leaderFailures.has(badBase);
+      if (!knownBad && await backgroundLoads(url, badBase)) return;
+      const tuple = await swarmLeaderFor(parsed, el);
+      if (backgroundUrlOf(el) !== url) return;
+      setBackgroundUrl(el, url, `${tupleBase(tuple)}${parsed.path}`, 'probe');
+    } catch {
+    } finally {
+      backgroundsInFlight.delete(el);
     }
   }
 
+  function scanBackgrounds(root) {
+    if (root.nodeType === 1 && root.getAttribute('style')) processBackground(root);
+    if (root.querySelectorAll) root.querySelectorAll('[style*="url("]').forEach(processBackground);
+  }
+
   function processNewImage(img) {
-    if (!img || img.tagName !== 'IMG' || !img.src) return;
+    if (!img || img.tagName !== 'IMG') return;
+    rewriteLazyAttributes(img);
+    if (!img.src) return;
 
-    if (img.dataset.batoListenerAttached !== '1') {
-      img.dataset.batoListenerAttached = '1';
+    const st = stateOf(img);
+    if (!st.listenerAttached) {
+      st.listenerAttached = true;
       img.addEventListener('error', function() {
-        setTimeout(() => {
-          if (img.dataset.batoFixing !== "done") {
+        scheduleTabStatsReport();
+        ENV.setTimeout(() => {
+          if (st.phase !== 'done') {
             fixImage(img);
           }
         }, ERROR_EVENT_DEBOUNCE);
       }, { once: false });
+      img.addEventListener('load', function() {
+        if (isImageLoaded(img)) {
+          recordChapterShape(img.src, img.naturalWidth, img.naturalHeight);
+          noteHostOutcome(img.src, 'hits');
+          markHostSucceeded(hostBaseFromUrl(img.src));
+          recordImageLoadLatency(img);
+        }
+        scheduleTabStatsReport();
+      });
+    }
+
+    if (isImageLoaded(img)) {
+      recordChapterShape(img.src, img.naturalWidth, img.naturalHeight);
+      noteHostOutcome(img.src, 'hits');
     }
 
     const parsed = parseSubdomain(img.src);
 
+    // Already served through a network redirect; rewriting src would only cost another request.
+    if (parsed && redirectTargets.has(toBase(parsed)) && isImageLoaded(img)) return;
+
     if (parsed && parsed.prefix === 'k') {
       const badBase = toBase(parsed);
-      const hasExact = persistentUrlMeta.has(img.src);
+      const hasExact = persistentUrlMeta.has(withoutRedirectBypass(img.src));
       const hasCdn = swarmHostMap.has(badBase);
       if (!hasExact && !hasCdn && preemptiveFix(img)) {
-        setTimeout(() => checkImage(img), K_PREEMPTIVE_VERIFY_DELAY);
+        verifyImage(img);
         return;
       }
     }
@@ -1480,55 +3271,257 @@
     scheduleSlowLoadBestHostPreflight(img, parsed);
   }
 
-  function init() {
-    ensurePersistentCacheKey();
-    loadPersistentCache();
-    loadBestHostStats();
-    document.querySelectorAll('img').forEach(enqueueImage);
+  const DOM_OBSERVER_OPTIONS = {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['src', 'srcset', 'data-src', 'data-srcset', 'style']
+  };
+
+  // Every document and open shadow root being watched, with its MutationObserver. Reader
+  // widgets and preview panels render into shadow DOM or same-origin iframes that
+  // document.querySelectorAll never reaches.
+  const watchedRoots = new Map();
+  const watchedFrames = new WeakSet();
+
+  function isRootAlive(root) {
+    if (root === DOC) return true;
+    if (root.nodeType === 9) {
+      try {
+        return !!root.defaultView && root.defaultView.document === root;
+      } catch {
+        return false;
+      }
+    }
+    return !!root.host && root.host.isConnected;
+  }
+
+  function queryAllImages() {
+    const out = [];
+    for (const [root, observer] of Array.from(watchedRoots.entries())) {
+      if (!isRootAlive(root)) {
+        observer.disconnect();
+        watchedRoots.delete(root);
+        continue;
+      }
+      out.push(...root.querySelectorAll('img'));
+    }
+    return out;
+  }
+
+  function watchRoot(root) {
+    if (!root || watchedRoots.has(root)) return;
+    const isDocument = root === DOC || root.nodeType === 9;
+    const target = isDocument ? (root.body || root.documentElement) : root;
+    if (!target) return;
+    const observer = new ENV.MutationObserver(onDomMutations);
+    observer.observe(target, DOM_OBSERVER_OPTIONS);
+    watchedRoots.set(root, observer);
+    scanSubtree(target);
+  }
 
-    const observer = new MutationObserver((mutations) => {
-      mutations.forEach(mutation => {
-        mutation.addedNodes.forEach(node => {
-          if (node.tagName === 'IMG') {
-            enqueueImage(node);
-          }
-          
-          if (node.querySelectorAll) {
-            node.querySelectorAll('img').forEach(img => {
-              if (!img.dataset.batoFixing) {
-                enqueueImage(img);
-              }
-            });
-          }
-        });
-        
-        if (mutation.type === 'attributes' && 
-            (mutation.attributeName === 'src' || mutation.attributeName === 'srcset') && 
-            mutation.target.tagName === 'IMG') {
-          
-          const img = mutation.target;
-          if (img.dataset.batoFixing !== "done" && !img.dataset.batoFixed) {
-            img.dataset.batoFixing = "";
-            img.dataset.batoPreemptive = "";
-            img.dataset.batoSwarmPreemptive = "";
-            setTimeout(() => {
-              enqueueImage(img);
-            }, ATTR_CHANGE_RESCAN_DELAY);
-          }
+  // Same-origin frames swap documents on every navigation, so each load is picked up again.
+  function watchFrame(frame) {
+    if (watchedFrames.has(frame)) return;
+    watchedFrames.add(frame);
+    frame.addEventListener('load', () => watchFrameDocument(frame));
+    watchFrameDocument(frame);
+  }
+
+  function watchFrameDocument(frame) {
+    let doc = null;
+    try {
+      doc = frame.contentDocument;
+    } catch {
+    }
+    if (doc && doc.body) watchRoot(doc);
+  }
+
+  // Open shadow roots have no attach event; custom elements usually attach theirs before
+  // insertion completes, so checking added subtrees catches them.
+  function discoverNestedRoots(node) {
+    const els = node.nodeType === 1 ? [node, ...node.querySelectorAll('*')] : node.querySelectorAll('*');
+    for (const el of els) {
+      if (el.shadowRoot) watchRoot(el.shadowRoot);
+      if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') watchFrame(el);
+    }
+  }
+
+  function scanSubtree(node) {
+    if (node.tagName === 'IMG') enqueueImage(node);
+    if (node.nodeType !== 1 && node.nodeType !== 11) return;
+    scanBackgrounds(node);
+    node.querySelectorAll('img').forEach(img => {
+      if (stateOf(img).phase === 'idle') {
+        enqueueImage(img);
+      }
+    });
+    discoverNestedRoots(node);
+  }
+
+  function onDomMutations(mutations) {
+    mutations.forEach(mutation => {
+      mutation.addedNodes.forEach(node => {
+        if (node.tagName === 'SOURCE' && node.parentElement && node.parentElement.tagName === 'PICTURE') {
+          node.parentElement.querySelectorAll('img').forEach(img => {
+            rewriteLazyAttributes(img);
+            indexImage(img);
+          });
         }
+        scanSubtree(node);
       });
+      mutation.removedNodes.forEach(unindexRemoved);
+
+      if (mutation.type !== 'attributes') return;
+      const target = mutation.target;
+      const attr = mutation.attributeName;
+
+      if (attr === 'style') {
+        if (!isOwnWrite(target, attr)) processBackground(target);
+        return;
+      }
+
+      if (target.tagName === 'IMG') {
+        indexImage(target);
+      } else if (target.tagName === 'SOURCE' && target.parentElement) {
+        target.parentElement.querySelectorAll('img').forEach(indexImage);
+      }
+
+      // Our own rewrites only needed re-indexing.
+      if (isOwnWrite(target, attr)) return;
+
+      if (attr.startsWith('data-')) {
+        delete stateOf(target).original[attr];
+        if (target.tagName === 'IMG') rewriteLazyAttributes(target);
+        else if (target.tagName === 'SOURCE') rewriteSrcsetAttr(target, 'data-srcset');
+        return;
+      }
+
+      if (target.tagName === 'SOURCE') {
+        delete stateOf(target).original.srcset;
+        rewriteSrcsetAttr(target, 'srcset');
+        return;
+      }
+
+      if (target.tagName === 'IMG') {
+        resetImageState(target);
+        ENV.setTimeout(() => {
+          enqueueImage(target);
+        }, ATTR_CHANGE_RESCAN_DELAY);
+      }
+    });
+  }
+
+  // Set only while the document is still being parsed (early interception).
+  let earlyObserver = null;
+  // Nodes parsed before the shared database answered; checked once it does.
+  let earlyPending = [];
+  // Images rewritten before init(); they still need listeners and verification.
+  const earlyRewritten = new Set();
+
+  // Rewrites images whose host or URL is already known as the parser inserts them, so
+  // they skip the error-and-probe cycle. Anything else waits for init().
+  function interceptEarly(node) {
+    if (node.nodeType !== 1) return;
+    const imgs = node.tagName === 'IMG' ? [node] : node.querySelectorAll('img');
+    for (const img of imgs) {
+      rewriteLazyAttributes(img);
+      if (!img.src || stateOf(img).fixed) continue;
+      if (applyExactUrlFixIfAny(img) || applyKnownSwarmFixIfAny(img)) earlyRewritten.add(img);
+    }
+  }
+
+  // The regular scan skips these since they are already 'done', so a rewrite onto a
+  // host that has died since would otherwise never be noticed.
+  function verifyEarlyRewrites() {
+    for (const img of earlyRewritten) {
+      if (!img.isConnected) continue;
+      processNewImage(img);
+      verifyImage(img);
+    }
+    earlyRewritten.clear();
+  }
+
+  // The background's redirect rules are what keep the preload scanner off known-dead
+  // hosts: settings and the shared database both arrive over async messages, so by the
+  // time they do the parser has usually requested every image already. This pass only
+  // spares those images the wait for their error, and runs only with EARLY_INTERCEPT on.
+  function startEarlyInterception() {
+    loadSettings().then(() => {
+      if (!EARLY_INTERCEPT) return null;
+      return loadSharedState().then(() => true);
+    }).then((enabled) => {
+      const nodes = earlyPending;
+      earlyPending = null;
+      if (!earlyObserver) return;
+      if (enabled) {
+        nodes.forEach(interceptEarly);
+      } else {
+        earlyObserver.disconnect();
+        earlyObserver = null;
+      }
     });
+    try {
+      earlyObserver = new ENV.MutationObserver(mutations => {
+        for (const mutation of mutations) {
+          if (earlyPending) earlyPending.push(...mutation.addedNodes);
+          else mutation.addedNodes.forEach(interceptEarly);
+        }
+      });
+      earlyObserver.observe(DOC, { childList: true, subtree: true });
+    } catch {
+      earlyObserver = null;
+    }
+  }
+
+  async function init() {
+    await loadSettings();
+    watchSettings();
+
+    listenForSwarmEvents();
+    listenForTraceRequests();
+    watchRetryTriggers();
+    startViewportObserver();
+
+    // Give the shared database a brief head start so known-dead hosts are rewritten
+    // on the first pass; anything arriving later still lands in swarmHostMap.
+    await Promise.race([
+      loadSharedState(),
+      new Promise(resolve => ENV.setTimeout(resolve, HEALTH_PULL_TIMEOUT))
+    ]);
+    WIN.addEventListener('pagehide', flushHealthReport);
+
+    // The regular pipeline takes over here and verifies whatever was rewritten early.
+    if (earlyObserver) {
+      earlyObserver.disconnect();
+      earlyObserver = null;
+    }
+    watchRoot(DOC);
+    verifyEarlyRewrites();
+  }
 
-    observer.observe(document.body, { 
-      childList: true, 
-      subtree: true, 
-      attributes: true, 
-      attributeFilter: ['src', 'srcset'] 
+  // Test harnesses get a handle on the pieces they assert against; pages never set this.
+  if (typeof ENV.exposeInternals === 'function') {
+    ENV.exposeInternals({
+      applySettings,
+      parseSubdomain,
+      toBase,
+      generateCandidates,
+      swarmLeaderFor,
+      checkImage,
+      stateOf,
+      swarmHostMap,
+      probeUrlCancelable,
+      isTemporarilyFailedHost,
+      retryFailedImage,
+      tryOriginalImage,
+      traceSnapshot
     });
   }
 
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
+  if (DOC.readyState === 'loading') {
+    startEarlyInterception();
+    DOC.addEventListener('DOMContentLoaded', init);
   } else {
     init();
   }
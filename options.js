@@ -0,0 +1,216 @@
+(() => {
+
+  const {
+    SETTINGS_KEY,
+    ENGINE_SETTINGS,
+    SITE_SETTINGS,
+    validateSetting,
+    formatSetting,
+    emptySettings,
+    normalizeSettings
+  } = globalThis.batoFixerSettings;
+
+  const SITES = Object.values(globalThis.batoFixerSites || {});
+
+  const form = document.getElementById('settings-form');
+  const engineContainer = document.getElementById('engine-settings');
+  const siteContainer = document.getElementById('site-settings');
+  const statusEl = document.getElementById('status');
+  const exportButton = document.getElementById('export-db');
+  const importButton = document.getElementById('import-db');
+  const importFile = document.getElementById('import-file');
+  const importMode = document.getElementById('import-mode');
+  const dbStatusEl = document.getElementById('db-status');
+
+  // Every rendered field: { def, siteId, input, errorEl, rowEl, builtIn }
+  const fields = [];
+  let current = emptySettings();
+
+  function setStatus(text) {
+    statusEl.textContent = text;
+  }
+
+  async function loadStored() {
+    const stored = await chrome.storage.local.get(SETTINGS_KEY);
+    return normalizeSettings(stored ? stored[SETTINGS_KEY] : null);
+  }
+
+  async function saveStored(settings) {
+    await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+  }
+
+  function overridesFor(settings, siteId) {
+    if (!siteId) return settings.engine;
+    if (!settings.sites[siteId]) settings.sites[siteId] = {};
+    return settings.sites[siteId];
+  }
+
+  function isSameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  function buildRow(def, siteId, builtIn) {
+    const row = document.createElement('div');
+    row.className = 'row';
+
+    const id = `${siteId || 'engine'}-${def.key}`;
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = def.label;
+
+    const input = document.createElement(def.type === 'int' || def.type === 'bool' ? 'input' : 'textarea');
+    input.id = id;
+    if (def.type === 'bool') input.type = 'checkbox';
+    if (def.type === 'int') {
+      input.type = 'number';
+      input.min = String(def.min);
+      input.max = String(def.max);
+    }
+
+    const reset = document.createElement('button');
+    reset.type = 'button';
+    reset.textContent = 'Reset to default';
+
+    const hint = document.createElement('div');
+    hint.className = 'hint';
+    hint.textContent = `${def.key} · built-in: ${formatSetting(def, builtIn)}`;
+
+    const errorEl = document.createElement('div');
+    errorEl.className = 'error';
+
+    row.append(label, input, reset, hint, errorEl);
+
+    const field = { def, siteId, input, errorEl, rowEl: row, builtIn };
+    reset.addEventListener('click', () => resetField(field));
+    fields.push(field);
+    return row;
+  }
+
+  function render() {
+    for (const def of ENGINE_SETTINGS) {
+      engineContainer.append(buildRow(def, null, def.default));
+    }
+
+    for (const site of SITES) {
+      const heading = document.createElement('h2');
+      heading.textContent = `${site.label || site.id} sites`;
+      siteContainer.append(heading);
+      for (const def of SITE_SETTINGS) {
+        siteContainer.append(buildRow(def, site.id, site[def.siteField] || []));
+      }
+    }
+  }
+
+  function fillFields() {
+    for (const field of fields) {
+      const overrides = field.siteId ? (current.sites[field.siteId] || {}) : current.engine;
+      const hasOverride = field.def.key in overrides;
+      const value = hasOverride ? overrides[field.def.key] : field.builtIn;
+      if (field.def.type === 'bool') field.input.checked = value === true;
+      else field.input.value = formatSetting(field.def, value);
+      field.errorEl.textContent = '';
+      field.rowEl.classList.toggle('overridden', hasOverride);
+    }
+  }
+
+  async function resetField(field) {
+    const next = normalizeSettings(current);
+    delete overridesFor(next, field.siteId)[field.def.key];
+    await saveStored(next);
+    current = next;
+    fillFields();
+    setStatus(`${field.def.key} reset to built-in default.`);
+  }
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    const next = emptySettings();
+    let valid = true;
+
+    for (const field of fields) {
+      const raw = field.def.type === 'bool' ? field.input.checked : field.input.value;
+      const res = validateSetting(field.def, raw);
+      field.errorEl.textContent = res.ok ? '' : res.error;
+      if (!res.ok) {
+        valid = false;
+        continue;
+      }
+      // Only values that differ from the built-in are stored, so later built-in
+      // updates still reach anyone who never touched that setting.
+      if (!isSameValue(res.value, field.builtIn)) {
+        overridesFor(next, field.siteId)[field.def.key] = res.value;
+      }
+    }
+
+    if (!valid) {
+      setStatus('Fix the highlighted values before saving.');
+      return;
+    }
+
+    await saveStored(next);
+    current = normalizeSettings(next);
+    fillFields();
+    setStatus('Saved. Open tabs use the new values right away.');
+  }
+
+  function setDbStatus(text) {
+    dbStatusEl.textContent = text;
+  }
+
+  async function onExport() {
+    const data = await chrome.runtime.sendMessage({ type: 'store:export' }).catch(() => null);
+    if (!data) {
+      setDbStatus('Export failed.');
+      return;
+    }
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `bato-fixer-hosts-${new Date(data.exportedAt).toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    setDbStatus(`Exported ${Object.keys(data.hosts).length} host mappings.`);
+  }
+
+  async function onImport() {
+    const file = importFile.files && importFile.files[0];
+    if (!file) {
+      setDbStatus('Choose a file to import first.');
+      return;
+    }
+    let data = null;
+    try {
+      data = JSON.parse(await file.text());
+    } catch {
+      setDbStatus('That file is not valid JSON.');
+      return;
+    }
+    const mode = importMode.value === 'replace' ? 'replace' : 'merge';
+    if (mode === 'replace' && !confirm('Discard everything learned in this browser and use the file instead?')) return;
+
+    const res = await chrome.runtime.sendMessage({ type: 'store:import', data, mode }).catch(() => null);
+    if (!res || !res.ok) {
+      setDbStatus((res && res.error) || 'Import failed.');
+      return;
+    }
+    const skipped = res.rejected ? ` Skipped ${res.rejected} malformed entries.` : '';
+    setDbStatus(`Imported ${res.hosts} host mappings, ${res.urls} URL mappings and stats for ${res.stats} hosts.${skipped} Reload open tabs to use them.`);
+  }
+
+  async function init() {
+    render();
+    try {
+      current = await loadStored();
+    } catch {
+      current = emptySettings();
+    }
+    fillFields();
+    form.addEventListener('submit', onSubmit);
+    exportButton.addEventListener('click', onExport);
+    importButton.addEventListener('click', onImport);
+  }
+
+  init();
+
+})();
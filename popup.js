@@ -0,0 +1,107 @@
+(() => {
+
+  const SOURCE_LABELS = {
+    'exact-url': 'Exact-URL cache',
+    swarm: 'Swarm broadcast',
+    'mp-family': 'MP family winner',
+    probe: 'Fresh probe',
+    'prefix-swap': 'k→n prefix swap'
+  };
+
+  function addRow(table, label, value, labelClass) {
+    const tr = document.createElement('tr');
+    const name = document.createElement('td');
+    name.textContent = label;
+    if (labelClass) name.className = labelClass;
+    const num = document.createElement('td');
+    num.className = 'num';
+    num.textContent = String(value);
+    tr.append(name, num);
+    table.append(tr);
+  }
+
+  function render(stats) {
+    const hasActivity = !!stats && (stats.fixed || stats.retry || stats.failed || stats.broken
+      || Object.values(stats.sources || {}).some(Boolean));
+    document.getElementById('empty').hidden = hasActivity;
+    document.getElementById('stats').hidden = !hasActivity;
+    if (!hasActivity) return;
+
+    document.getElementById('count-fixed').textContent = String(stats.fixed);
+    document.getElementById('count-retry').textContent = String(stats.retry);
+    document.getElementById('count-failed').textContent = String(stats.failed);
+    document.getElementById('count-broken').textContent = String(stats.broken);
+
+    const sources = document.getElementById('sources');
+    sources.textContent = '';
+    for (const [key, label] of Object.entries(SOURCE_LABELS)) {
+      addRow(sources, label, (stats.sources && stats.sources[key]) || 0);
+    }
+
+    const hosts = document.getElementById('hosts');
+    hosts.textContent = '';
+    if (!stats.hosts || stats.hosts.length === 0) {
+      addRow(hosts, 'none yet', '');
+      return;
+    }
+    for (const { host, count } of stats.hosts) addRow(hosts, host, count, 'host');
+  }
+
+  function describeEvent(event, startAt) {
+    const fields = Object.entries(event)
+      .filter(([key]) => key !== 'at' && key !== 'type')
+      .map(([key, value]) => `${key}=${Array.isArray(value) ? `[${value.length}] ${value.join(' ')}` : value}`);
+    return `+${event.at - startAt}ms ${event.type} ${fields.join(' ')}`;
+  }
+
+  function renderTrace(snapshot) {
+    const hasTrace = !!snapshot && (snapshot.enabled || snapshot.traces.length > 0);
+    document.getElementById('trace').hidden = !hasTrace;
+    if (!hasTrace) return;
+
+    const list = document.getElementById('trace-list');
+    list.textContent = '';
+    if (snapshot.traces.length === 0) list.textContent = 'Nothing recorded on this page yet.';
+    for (const entry of snapshot.traces) {
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.className = 'host';
+      summary.textContent = `${entry.events.length} · ${entry.label || entry.key}`;
+      summary.title = entry.label || entry.key;
+      const pre = document.createElement('pre');
+      const startAt = entry.events.length ? entry.events[0].at : 0;
+      const lines = entry.events.map(event => describeEvent(event, startAt));
+      if (entry.dropped) lines.unshift(`(${entry.dropped} older events dropped)`);
+      pre.textContent = lines.join('\n');
+      details.append(summary, pre);
+      list.append(details);
+    }
+
+    document.getElementById('trace-export').onclick = () => {
+      const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `bato-fixer-trace-${new Date(snapshot.capturedAt).toISOString().replace(/[:.]/g, '-')}.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    };
+  }
+
+  async function init() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab || typeof tab.id !== 'number') return render(null);
+      const stats = await chrome.runtime.sendMessage({ type: 'tabStats:get', tabId: tab.id });
+      render(stats);
+      // No content script on this tab just means there is no trace to show.
+      const snapshot = await chrome.tabs.sendMessage(tab.id, { type: 'trace:get' }, { frameId: 0 }).catch(() => null);
+      renderTrace(snapshot);
+    } catch {
+      render(null);
+    }
+  }
+
+  init();
+
+})();
@@ -0,0 +1,190 @@
+(() => {
+
+  const SETTINGS_KEY = 'batoFixerSettingsV1';
+  const SETTINGS_VERSION = 1;
+
+  const BEST_FULL_HOSTS = `
+    b01.mbimg.org b01.mbmyj.org b01.mbrtz.org b01.mbtba.org b01.mbwnp.org b01.mbxma.org b01.mbznp.org
+    d01.mbdny.org d01.mbimg.org d01.mbmyj.org d01.mbuul.org
+    n00.mbdny.org n00.mbqgu.org n00.mbuul.org n00.mbwnp.org
+    n01.mbdny.org n01.mbopg.org n01.mbwww.org n01.mbxma.org
+    n02.mbeaj.org n02.mbmyj.org n02.mbtmv.org n02.mbwbm.org n02.mbxma.org
+    n03.mbhiz.org
+    n04.mbdny.org n04.mbeaj.org n04.mbhiz.org n04.mbimg.org n04.mbqgu.org n04.mbtmv.org n04.mbxma.org n04.mbzcp.org n04.mbznp.org
+    n05.mbimg.org n05.mbmyj.org n05.mbuul.org n05.mbznp.org
+    n06.mbeaj.org n06.mbrtz.org n06.mbwbm.org n06.mbwww.org
+    n07.mbmyj.org n07.mbopg.org n07.mbqgu.org n07.mbrtz.org n07.mbtba.org n07.mbtmv.org n07.mbwnp.org n07.mbxma.org
+    n08.mbhiz.org
+    n09.mbfpu.org n09.mbhiz.org n09.mbzcp.org
+    n10.mbfpu.org n10.mbuul.org n10.mbwnp.org n10.mbwww.org n10.mbzcp.org n10.mbznp.org
+    n11.mbopg.org n11.mbwnp.org n11.mbwww.org n11.mbxma.org
+    n12.mbfpu.org n12.mbwbm.org
+    n14.mbmyj.org n14.mbxma.org
+    n15.mbfpu.org
+    s00.mpubn.org s03.mpqsc.org s03.mpypl.org s05.mpfip.org s06.mpqsc.org s06.mprnm.org s07.mpfip.org s09.mpfip.org s09.mpubn.org s10.mpmok.org s10.mprnm.org
+  `.trim().split(/\s+/);
+
+  const ALL_ROOTS = `
+    mbdny.org mbrtz.org mbwbm.org mbznp.org mbqgu.org mbtba.org mbhiz.org mbwnp.org mbxma.org mbwww.org mbmyj.org
+    mbeaj.org mbzcp.org mbuul.org mbtmv.org mbimg.org mbopg.org mbfpu.org
+    mpfip.org mpizz.org mpmok.org mpqom.org mpqsc.org mprnm.org mpubn.org mpujj.org mpvim.org mpypl.org
+  `.trim().split(/\s+/);
+
+  // Engine-wide tunables. `default` is the built-in value used when no override is stored.
+  const ENGINE_SETTINGS = [
+    { key: 'PROBE_TIMEOUT', label: 'Probe timeout (ms)', type: 'int', min: 1000, max: 30000, default: 8000 },
+    { key: 'MAX_ATTEMPTS', label: 'Max candidates per image', type: 'int', min: 1, max: 200, default: 30 },
+    { key: 'PROBE_PARALLEL', label: 'Parallel probes per batch', type: 'int', min: 1, max: 8, default: 3 },
+    { key: 'PROBE_GLOBAL_CAP', label: 'Max probes in flight per page', type: 'int', min: 1, max: 32, default: 6 },
+    { key: 'PROBE_HOST_CAP', label: 'Max probes in flight per host', type: 'int', min: 1, max: 8, default: 2 },
+    { key: 'PROBE_HOST_INTERVAL', label: 'Min gap between probes to a host (ms)', type: 'int', min: 0, max: 5000, default: 150 },
+    { key: 'SLOW_LOAD_PREEMPT_DELAY', label: 'Slow-load preflight delay (ms)', type: 'int', min: 0, max: 20000, default: 1400 },
+    { key: 'RETRY_MAX_ATTEMPTS', label: 'Retry rounds for images that could not be fixed', type: 'int', min: 0, max: 20, default: 8 },
+    { key: 'EARLY_INTERCEPT', label: 'Rewrite known-dead images at page start', type: 'bool', default: false },
+    { key: 'DIAGNOSTICS', label: 'Record a diagnostic trace (viewed from the toolbar popup)', type: 'bool', default: false },
+    { key: 'ALL_ROOTS', label: 'All CDN roots', type: 'roots', default: ALL_ROOTS },
+    { key: 'BEST_FULL_HOSTS', label: 'Best full hosts (preflight pool)', type: 'hosts', default: BEST_FULL_HOSTS }
+  ];
+
+  // Per-site-family tables. Built-in values come from the matching site-*.js script.
+  const SITE_SETTINGS = [
+    { key: 'PREFIX_PRIORITY_MB', siteField: 'prefixPriorityMb', label: 'Prefix order (mb roots)', type: 'prefixes' },
+    { key: 'PREFIX_PRIORITY_MP', siteField: 'prefixPriorityMp', label: 'Prefix order (mp roots)', type: 'prefixes' },
+    { key: 'PREFERRED_NUM_ORDER_MB', siteField: 'preferredNumOrderMb', label: 'Server number order (mb roots)', type: 'numbers' },
+    { key: 'PREFERRED_NUM_ORDER_MP', siteField: 'preferredNumOrderMp', label: 'Server number order (mp roots)', type: 'numbers' },
+    { key: 'ROOT_PRIORITY_MB', siteField: 'rootPriorityMb', label: 'Root priority (mb roots)', type: 'roots' },
+    { key: 'ROOT_PRIORITY_MP', siteField: 'rootPriorityMp', label: 'Root priority (mp roots)', type: 'roots' }
+  ];
+
+  const LIST_ITEM_RE = {
+    prefixes: /^[a-z]+$/,
+    numbers: /^\d{1,3}$/,
+    roots: /^[a-z0-9\-]+\.(org|net|to)$/,
+    hosts: /^[a-z]+\d{1,3}\.[a-z0-9\-]+\.(org|net|to)$/
+  };
+
+  function splitList(raw) {
+    if (Array.isArray(raw)) return raw.map(v => String(v).trim().toLowerCase()).filter(Boolean);
+    return String(raw == null ? '' : raw).split(/[\s,]+/).map(v => v.trim().toLowerCase()).filter(Boolean);
+  }
+
+  // Returns { ok: true, value } or { ok: false, error } for a raw form or storage value.
+  function validateSetting(def, raw) {
+    if (def.type === 'int') {
+      const n = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isInteger(n)) return { ok: false, error: 'Must be a whole number.' };
+      if (n < def.min || n > def.max) return { ok: false, error: `Must be between ${def.min} and ${def.max}.` };
+      return { ok: true, value: n };
+    }
+
+    if (def.type === 'bool') {
+      if (typeof raw === 'boolean') return { ok: true, value: raw };
+      const s = String(raw).trim().toLowerCase();
+      if (s === 'true' || s === 'on') return { ok: true, value: true };
+      if (s === 'false' || s === 'off') return { ok: true, value: false };
+      return { ok: false, error: 'Must be on or off.' };
+    }
+
+    const re = LIST_ITEM_RE[def.type];
+    if (!re) return { ok: false, error: 'Unknown setting type.' };
+    const items = splitList(raw);
+    if (items.length === 0) return { ok: false, error: 'List must not be empty.' };
+
+    const seen = new Set();
+    const out = [];
+    for (const item of items) {
+      if (!re.test(item)) return { ok: false, error: `Invalid entry "${item}".` };
+      if (seen.has(item)) continue;
+      seen.add(item);
+      out.push(def.type === 'numbers' ? parseInt(item, 10) : item);
+    }
+    return { ok: true, value: out };
+  }
+
+  function formatSetting(def, value) {
+    if (def.type === 'int') return String(value);
+    if (def.type === 'bool') return value ? 'on' : 'off';
+    return (Array.isArray(value) ? value : []).join(' ');
+  }
+
+  function emptySettings() {
+    return { version: SETTINGS_VERSION, engine: {}, sites: {} };
+  }
+
+  function normalizeSettings(stored) {
+    const out = emptySettings();
+    if (!stored || typeof stored !== 'object' || stored.version !== SETTINGS_VERSION) return out;
+
+    const engine = stored.engine && typeof stored.engine === 'object' ? stored.engine : {};
+    for (const def of ENGINE_SETTINGS) {
+      if (!(def.key in engine)) continue;
+      const res = validateSetting(def, engine[def.key]);
+      if (res.ok) out.engine[def.key] = res.value;
+    }
+
+    const sites = stored.sites && typeof stored.sites === 'object' ? stored.sites : {};
+    for (const [siteId, overrides] of Object.entries(sites)) {
+      if (!overrides || typeof overrides !== 'object') continue;
+      const siteOut = {};
+      for (const def of SITE_SETTINGS) {
+        if (!(def.key in overrides)) continue;
+        const res = validateSetting(def, overrides[def.key]);
+        if (res.ok) siteOut[def.key] = res.value;
+      }
+      if (Object.keys(siteOut).length) out.sites[siteId] = siteOut;
+    }
+    return out;
+  }
+
+  // Flattens stored overrides on top of the built-ins for one site family.
+  function resolveSettings(stored, site) {
+    const normalized = normalizeSettings(stored);
+    const siteTables = site && typeof site === 'object' ? site : {};
+    const siteOverrides = (siteTables.id && normalized.sites[siteTables.id]) || {};
+
+    const resolved = {};
+    for (const def of ENGINE_SETTINGS) {
+      resolved[def.key] = def.key in normalized.engine ? normalized.engine[def.key] : def.default;
+    }
+    for (const def of SITE_SETTINGS) {
+      if (def.key in siteOverrides) resolved[def.key] = siteOverrides[def.key];
+      else if (Array.isArray(siteTables[def.siteField])) resolved[def.key] = siteTables[def.siteField].slice();
+      else resolved[def.key] = null;
+    }
+    return resolved;
+  }
+
+  // Every CDN root the settings vouch for: root lists, preflight hosts and the root tables
+  // of the given site and of every stored site override.
+  function knownRoots(stored, site) {
+    const normalized = normalizeSettings(stored);
+    const resolved = resolveSettings(stored, site);
+    const roots = new Set(ALL_ROOTS);
+    const add = (list) => {
+      for (const item of list || []) roots.add(String(item).toLowerCase());
+    };
+    add(resolved.ALL_ROOTS);
+    add((resolved.BEST_FULL_HOSTS || []).map(host => host.split('.').slice(1).join('.')));
+    add(resolved.ROOT_PRIORITY_MB);
+    add(resolved.ROOT_PRIORITY_MP);
+    for (const overrides of Object.values(normalized.sites)) {
+      add(overrides.ROOT_PRIORITY_MB);
+      add(overrides.ROOT_PRIORITY_MP);
+    }
+    return roots;
+  }
+
+  globalThis.batoFixerSettings = {
+    SETTINGS_KEY,
+    SETTINGS_VERSION,
+    ENGINE_SETTINGS,
+    SITE_SETTINGS,
+    validateSetting,
+    formatSetting,
+    emptySettings,
+    normalizeSettings,
+    resolveSettings,
+    knownRoots
+  };
+
+})();
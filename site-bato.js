@@ -0,0 +1,32 @@
+(() => {
+
+  // Bato mirrors mostly serve from the mb* roots and never needed a separate
+  // MP ordering, so both families share one table here.
+  const PREFIX_PRIORITY = ['n', 's', 'b', 'd'];
+  const PREFERRED_NUM_ORDER = [1, 0, 9, 2, 8, 7, 5, 4, 3, 10, 6, 11, 12, 15, 14, 13];
+  const ROOT_PRIORITY = `
+    mbqgu.org mbwbm.org mbrtz.org mbdny.org mbopg.org mbwnp.org mbznp.org mbfpu.org mbmyj.org mbwww.org mbzcp.org mbtmv.org
+    mbhiz.org mbuul.org mbxma.org mbeaj.org mbimg.org mbtba.org
+    bato.to
+  `.trim().split(/\s+/);
+
+  const site = {
+    id: 'bato',
+    label: 'Bato',
+
+    prefixPriorityMb: PREFIX_PRIORITY,
+    prefixPriorityMp: PREFIX_PRIORITY,
+
+    preferredNumOrderMp: PREFERRED_NUM_ORDER,
+    preferredNumOrderMb: PREFERRED_NUM_ORDER,
+
+    rootPriorityMp: ROOT_PRIORITY,
+    rootPriorityMb: ROOT_PRIORITY
+  };
+
+  // The options page loads every site script, so each one also registers itself by id.
+  globalThis.batoFixerSites = globalThis.batoFixerSites || {};
+  globalThis.batoFixerSites[site.id] = site;
+  globalThis.batoFixerSite = site;
+
+})();
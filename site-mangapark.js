@@ -0,0 +1,31 @@
+(() => {
+
+  const site = {
+    id: 'mangapark',
+    label: 'MangaPark',
+
+    prefixPriorityMb: ['n', 's', 'b', 'd'],
+    prefixPriorityMp: ['n', 's', 'b', 'd'],
+
+    preferredNumOrderMp: [1, 10, 2, 5, 0, 6, 7, 8, 3, 4, 9, 12, 14, 15, 11, 13],
+    preferredNumOrderMb: [1, 0, 9, 2, 8, 7, 5, 4, 3, 10, 6, 11, 12, 15, 14, 13],
+
+    rootPriorityMp: `
+      mbwww.org mbwbm.org mbuul.org mbfpu.org mbzcp.org mbqgu.org mbxma.org mbeaj.org mbrtz.org mbhiz.org mbopg.org mbdny.org
+      mbznp.org mbwnp.org mbtmv.org mbimg.org mbmyj.org mbtba.org
+      mprnm.org mpubn.org mpfip.org mpmok.org mpypl.org mpizz.org mpujj.org mpvim.org mpqom.org mpqsc.org
+    `.trim().split(/\s+/),
+
+    rootPriorityMb: `
+      mbqgu.org mbwbm.org mbrtz.org mbdny.org mbopg.org mbwnp.org mbznp.org mbfpu.org mbmyj.org mbwww.org mbzcp.org mbtmv.org
+      mbhiz.org mbuul.org mbxma.org mbeaj.org mbimg.org mpizz.org mbtba.org mpfip.org mpvim.org mpmok.org mpubn.org mprnm.org
+      mpypl.org mpqom.org mpujj.org mpqsc.org
+    `.trim().split(/\s+/)
+  };
+
+  // The options page loads every site script, so each one also registers itself by id.
+  globalThis.batoFixerSites = globalThis.batoFixerSites || {};
+  globalThis.batoFixerSites[site.id] = site;
+  globalThis.batoFixerSite = site;
+
+})();
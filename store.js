@@ -0,0 +1,177 @@
+(() => {
+
+  // IndexedDB behind the background's host-health maps. Every record lives under its own
+  // key, so a change is a single put or delete instead of rewriting one big blob, and
+  // URL mappings are partitioned by series so a tab only ever loads its own.
+  const DB_NAME = 'batoFixer';
+
+  // One step per schema version, run in order from whatever version is on disk.
+  // Append new steps; never edit a shipped one.
+  const MIGRATIONS = [
+    (db) => {
+      db.createObjectStore('hosts', { keyPath: 'badBase' });
+      const urls = db.createObjectStore('urls', { keyPath: ['series', 'badUrl'] });
+      urls.createIndex('series', 'series');
+      urls.createIndex('lastUsed', 'lastUsed');
+      db.createObjectStore('stats', { keyPath: 'host' });
+      db.createObjectStore('roots', { keyPath: 'key' });
+      db.createObjectStore('history', { keyPath: 'key' });
+      db.createObjectStore('breakers', { keyPath: 'cacheKey' });
+    },
+    (db) => {
+      db.createObjectStore('decoys', { keyPath: 'print' });
+    }
+  ];
+  const DB_VERSION = MIGRATIONS.length;
+
+  // Pages used to keep batoFixCacheV1 in their own localStorage. Payloads are upgraded
+  // one version at a time to the current shape before they are merged.
+  const LEGACY_CACHE_VERSION = 4;
+  const LEGACY_SUBDOMAIN_RE = /^https?:\/\/([a-z]+)(\d{1,3})\.([a-z0-9\-]+)\.(org|net|to)(\/.*)$/i;
+
+  const LEGACY_CACHE_UPGRADES = {
+    // v1 only stored URL pairs; the host mapping is implied by each pair.
+    1: (cache) => {
+      const hosts = {};
+      for (const entry of Object.values(cache.urls)) {
+        if (!entry || typeof entry.fixedUrl !== 'string') continue;
+        const lastUsed = typeof entry.lastUsed === 'number' ? entry.lastUsed : 0;
+        const bad = LEGACY_SUBDOMAIN_RE.exec(entry.badUrl || '');
+        const fixed = LEGACY_SUBDOMAIN_RE.exec(entry.fixedUrl);
+        if (!bad || !fixed) continue;
+        const badBase = `https://${bad[1].toLowerCase()}${bad[2].padStart(2, '0')}.${bad[3].toLowerCase()}.${bad[4].toLowerCase()}`;
+        const prev = hosts[badBase];
+        if (prev && prev.lastUsed >= lastUsed) continue;
+        hosts[badBase] = {
+          host: { prefix: fixed[1].toLowerCase(), number: parseInt(fixed[2], 10), root: fixed[3].toLowerCase(), tld: fixed[4].toLowerCase() },
+          lastUsed
+        };
+      }
+      return { ...cache, version: 2, hosts: { ...hosts, ...cache.hosts } };
+    },
+    // v2 and v3 share a shape; v3 only changed how entries were pruned.
+    2: (cache) => ({ ...cache, version: 3 }),
+    // v4 added per-entry freshness; entries without it read as stale.
+    3: (cache) => ({ ...cache, version: 4 })
+  };
+
+  function upgradeLegacyCache(raw) {
+    if (!raw || typeof raw !== 'object' || typeof raw.version !== 'number') return null;
+    if (raw.version < 1 || raw.version > LEGACY_CACHE_VERSION) return null;
+    const urls = {};
+    for (const [badUrl, entry] of Object.entries(raw.urls && typeof raw.urls === 'object' ? raw.urls : {})) {
+      if (entry && typeof entry === 'object') urls[badUrl] = { ...entry, badUrl };
+    }
+    let cache = { version: raw.version, hosts: raw.hosts && typeof raw.hosts === 'object' ? raw.hosts : {}, urls };
+    while (cache.version < LEGACY_CACHE_VERSION) cache = LEGACY_CACHE_UPGRADES[cache.version](cache);
+    return cache;
+  }
+
+  let dbPromise = null;
+
+  function requestResult(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+  }
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = (e) => {
+        for (let v = e.oldVersion; v < DB_VERSION; v++) MIGRATIONS[v](req.result, req.transaction);
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        // A newer copy of the extension is upgrading; let it, and reopen on next use.
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+    return dbPromise;
+  }
+
+  async function getAll(storeName) {
+    const db = await openDb();
+    return requestResult(db.transaction(storeName).objectStore(storeName).getAll());
+  }
+
+  async function getSeries(series) {
+    const db = await openDb();
+    return requestResult(db.transaction('urls').objectStore('urls').index('series').getAll(series));
+  }
+
+  // changes: { storeName: [{ put: record } | { delete: key }, ...] }, applied atomically.
+  async function write(changes) {
+    const names = Object.keys(changes).filter(name => changes[name].length);
+    if (names.length === 0) return;
+    const db = await openDb();
+    const tx = db.transaction(names, 'readwrite');
+    const done = transactionDone(tx);
+    for (const name of names) {
+      const store = tx.objectStore(name);
+      for (const change of changes[name]) {
+        if ('put' in change) store.put(change.put);
+        else store.delete(change.delete);
+      }
+    }
+    return done;
+  }
+
+  async function clear(storeNames) {
+    const db = await openDb();
+    const tx = db.transaction(storeNames, 'readwrite');
+    const done = transactionDone(tx);
+    for (const name of storeNames) tx.objectStore(name).clear();
+    return done;
+  }
+
+  // Drops the least recently used URL mappings until at most maxEntries remain.
+  async function pruneUrls(maxEntries) {
+    const db = await openDb();
+    const tx = db.transaction('urls', 'readwrite');
+    const done = transactionDone(tx);
+    const store = tx.objectStore('urls');
+    const excess = (await requestResult(store.count())) - maxEntries;
+    if (excess > 0) {
+      let removed = 0;
+      const cursorReq = store.index('lastUsed').openCursor();
+      cursorReq.onsuccess = () => {
+        const cursor = cursorReq.result;
+        if (!cursor || removed >= excess) return;
+        cursor.delete();
+        removed++;
+        cursor.continue();
+      };
+    }
+    return done;
+  }
+
+  globalThis.batoFixerStore = {
+    DB_VERSION,
+    upgradeLegacyCache,
+    getAll,
+    getSeries,
+    write,
+    clear,
+    pruneUrls
+  };
+
+})();
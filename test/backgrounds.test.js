@@ -0,0 +1,54 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine } = require('./support/engine');
+
+const COVER = 'https://k03.mbwww.org/media/1/cover.webp';
+const MIRROR = 'n01.mbwww.org';
+
+function addBackground(page, url) {
+  const el = page.dom.document.createElement('div');
+  el.setAttribute('style', `background-image: url("${url}")`);
+  page.dom.document.body.appendChild(el);
+  return el;
+}
+
+test('a background that rendered is only checked, never probed or replaced', async () => {
+  const page = startEngine({ cdn: { hosts: { 'k03.mbwww.org': 'up' } } });
+  const el = addBackground(page, COVER);
+  await page.advance(60000);
+  assert.equal(el.style.backgroundImage, `url("${COVER}")`);
+  // One load of the cover itself, which a browser answers from its cache; no other host is tried.
+  assert.deepEqual(page.cdn.requests.map(r => r.url), [COVER]);
+});
+
+test('background checks wait for the probe scheduler', async () => {
+  const page = startEngine({ cdn: { defaultMode: 'hang' } });
+  for (let i = 0; i < 20; i++) addBackground(page, `https://k03.mbwww.org/media/1/cover-${i}.webp`);
+  await page.advance(1000);
+  const pending = page.cdn.requests.filter(r => r.outcome === 'pending');
+  assert.ok(pending.length > 0);
+  assert.ok(pending.length <= 2);
+});
+
+test('a background that failed moves to a live mirror', async () => {
+  const page = startEngine({ cdn: { hosts: { [MIRROR]: 'up' } } });
+  const el = addBackground(page, COVER);
+  await page.advance(60000);
+  assert.match(el.style.backgroundImage, new RegExp(`${MIRROR}/media/1/cover\\.webp`));
+});
+
+test('a background on a host with an open breaker is repaired without loading it first', async () => {
+  const page = startEngine({
+    cdn: { hosts: { [MIRROR]: 'up' } },
+    background: msg => msg.type === 'hostHealth:get'
+      ? { breakers: { 'https://k03.mbwww.org': { failures: 3, openUntil: Date.UTC(2024, 0, 1, 1), lastUsed: Date.UTC(2024, 0, 1) } } }
+      : null
+  });
+  await page.advance(0);
+  const el = addBackground(page, COVER);
+  await page.advance(60000);
+  assert.match(el.style.backgroundImage, new RegExp(`${MIRROR}/media/1/cover\\.webp`));
+  assert.deepEqual(page.cdn.requestsTo('k03.mbwww.org'), []);
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine } = require('./support/engine');
+
+const BAD = 'https://k03.mbwww.org/media/1/a.webp';
+
+test('parseSubdomain and toBase round-trip a CDN url', () => {
+  const { engine } = startEngine();
+  const parsed = engine.parseSubdomain(BAD);
+  assert.equal(parsed.prefix, 'k');
+  assert.equal(parsed.number, 3);
+  assert.equal(parsed.root, 'mbwww');
+  assert.equal(parsed.path, '/media/1/a.webp');
+  assert.equal(engine.toBase(parsed), 'https://k03.mbwww.org');
+  assert.equal(engine.parseSubdomain('https://example.com/a.webp'), null);
+});
+
+test('candidates are unique, keep the path and never include the failing host', () => {
+  const { engine } = startEngine();
+  const candidates = engine.generateCandidates(engine.parseSubdomain(BAD));
+  assert.ok(candidates.length > 0);
+  assert.equal(new Set(candidates).size, candidates.length);
+  for (const url of candidates) {
+    assert.ok(url.endsWith('/media/1/a.webp'), url);
+    assert.ok(!url.startsWith('https://k03.mbwww.org/'), url);
+  }
+});
+
+test('MAX_ATTEMPTS caps the candidate list', () => {
+  const { engine } = startEngine({ settings: { MAX_ATTEMPTS: 5 } });
+  assert.ok(engine.generateCandidates(engine.parseSubdomain(BAD)).length <= 5);
+});
+
+test('a known swarm host short-circuits candidate generation', () => {
+  const { engine } = startEngine();
+  engine.swarmHostMap.set('https://k03.mbwww.org', { prefix: 'n', number: 1, root: 'mbwww', tld: 'org' });
+  assert.deepEqual([...engine.generateCandidates(engine.parseSubdomain(BAD))], ['https://n01.mbwww.org/media/1/a.webp']);
+});
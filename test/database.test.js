@@ -0,0 +1,77 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startBackground } = require('./support/background');
+
+const TUPLE = { prefix: 'n', number: 1, root: 'mbwww', tld: 'org' };
+
+function exportFile(sections) {
+  return { format: 'batoFixerHostDatabase', version: 1, hosts: {}, urls: {}, stats: {}, ...sections };
+}
+
+test('export and merge-import round-trip the learned database', async () => {
+  const source = startBackground();
+  await source.send({
+    type: 'hostHealth:report',
+    report: {
+      series: 'bato:1',
+      hosts: { 'https://k03.mbwww.org': { host: TUPLE, lastUsed: 10 } },
+      urls: { 'https://k03.mbwww.org/media/1/a.webp': { fixedUrl: 'https://n01.mbwww.org/media/1/a.webp', lastUsed: 10 } },
+      stats: { 'n01.mbwww.org': { hits: 3, fails: 0, lastUsed: 10 } }
+    }
+  });
+  const data = await source.sendFromExtension({ type: 'store:export' });
+
+  const target = startBackground();
+  const res = await target.sendFromExtension({ type: 'store:import', data, mode: 'merge' });
+  assert.deepEqual({ ...res }, { ok: true, hosts: 1, urls: 1, stats: 1, rejected: 0 });
+  assert.deepEqual({ ...target.db.hosts.get('https://k03.mbwww.org').host }, TUPLE);
+  assert.equal(target.db.urls.get('bato:1\nhttps://k03.mbwww.org/media/1/a.webp').fixedUrl, 'https://n01.mbwww.org/media/1/a.webp');
+});
+
+test('malformed entries are rejected before anything is merged', async () => {
+  const bg = startBackground();
+  await bg.send({
+    type: 'hostHealth:report',
+    report: { urls: { 'https://k03.mbwww.org/media/1/a.webp': { fixedUrl: 'https://n01.mbwww.org/media/1/a.webp', lastUsed: 10 } } }
+  });
+
+  const res = await bg.sendFromExtension({
+    type: 'store:import',
+    mode: 'merge',
+    data: exportFile({
+      hosts: {
+        'https://k04.mbwww.org': { host: TUPLE, lastUsed: 20 },
+        'https://k05.mbwww.org': null,
+        'javascript:alert(1)': { host: TUPLE, lastUsed: 20 },
+        'https://k06.mbwww.org': { host: { prefix: 'n/', number: 1, root: 'evil', tld: 'org' }, lastUsed: 20 }
+      },
+      urls: {
+        '': {
+          // Null where an entry already exists used to throw halfway through the import.
+          'https://k03.mbwww.org/media/1/a.webp': null,
+          'https://k03.mbwww.org/media/1/b.webp': { fixedUrl: 'https://evil.example.com/b.webp', lastUsed: 20 },
+          'https://evil.example.com/c.webp': { fixedUrl: 'https://n01.mbwww.org/media/1/c.webp', lastUsed: 20 },
+          'https://k03.mbwww.org/media/1/d.webp': { fixedUrl: 'https://n01.mbwww.org/media/1/d.webp', lastUsed: 20 }
+        }
+      },
+      stats: { 'not a host': { hits: 1 }, 'n01.mbwww.org': 'x' }
+    })
+  });
+
+  assert.deepEqual({ ...res }, { ok: true, hosts: 1, urls: 1, stats: 0, rejected: 8 });
+  assert.deepEqual([...bg.db.hosts.keys()], ['https://k04.mbwww.org']);
+  assert.deepEqual([...bg.db.urls.keys()].sort(), [
+    '\nhttps://k03.mbwww.org/media/1/a.webp',
+    '\nhttps://k03.mbwww.org/media/1/d.webp'
+  ]);
+  await bg.settle();
+  assert.deepEqual([...bg.rules.values()].map(r => r.action.redirect.regexSubstitution), ['https://n01.mbwww.org\\1']);
+});
+
+test('only extension pages may export or import', async () => {
+  const bg = startBackground();
+  assert.equal(await bg.send({ type: 'store:export' }), undefined);
+  assert.equal(await bg.send({ type: 'store:import', data: exportFile({}), mode: 'replace' }), undefined);
+});
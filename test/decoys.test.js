@@ -0,0 +1,38 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine } = require('./support/engine');
+
+const HOST = 'https://n03.mbwww.org';
+const PAGES = ['a', 'b', 'c', 'd'].map(name => `${HOST}/media/1/${name}.webp`);
+
+test('a small page that loaded from a healthy host is left alone', async () => {
+  const credits = `${HOST}/media/1/credits.webp`;
+  const page = startEngine({
+    images: [...PAGES, credits],
+    cdn: { hosts: { 'n03.mbwww.org': 'up' }, sizes: { '/media/1/credits.webp': { width: 300, height: 400 } } }
+  });
+  await page.advance(2 * 60 * 1000);
+  const img = page.images[4];
+  assert.equal(img.src, credits);
+  assert.equal(page.engine.stateOf(img).retries, 0);
+  assert.equal(page.cdn.requests.length, page.images.length);
+});
+
+test('a rewrite that lands on a placeholder is undone and repaired elsewhere', async () => {
+  const page = startEngine({
+    images: PAGES,
+    cdn: {
+      hosts: { 'n03.mbwww.org': 'up', 'n01.mbwww.org': 'up' },
+      sizes: { 'n03.mbwww.org/media/1/e.webp': { width: 200, height: 200 } }
+    }
+  });
+  await page.advance(1000);
+  // The prefix swap sends k03 to n03, which serves a square placeholder for this page.
+  const img = page.addImage('https://k03.mbwww.org/media/1/e.webp');
+  await page.advance(2 * 60 * 1000);
+  assert.equal(page.engine.stateOf(img).phase, 'done');
+  assert.equal(new URL(img.src).hostname, 'n01.mbwww.org');
+  assert.equal(img.naturalWidth, 800);
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine } = require('./support/engine');
+
+const PAGE = 'https://k03.mbwww.org/media/1/a.webp';
+const DEAD_TARGET = { prefix: 'n', number: 9, root: 'mbwww', tld: 'org' };
+const MIRROR = 'n01.mbwww.org';
+
+// A background that remembers k03 -> n09 as a fresh mapping, although n09 has since died.
+function staleMappingBackground(msg) {
+  if (msg.type !== 'hostHealth:get') return null;
+  return {
+    hosts: {
+      'https://k03.mbwww.org': { host: DEAD_TARGET, lastUsed: Date.UTC(2024, 0, 1), verifiedAt: Date.UTC(2024, 0, 1), confidence: 1 }
+    }
+  };
+}
+
+test('an image rewritten during parsing is still verified and repaired', async () => {
+  const page = startEngine({
+    loading: true,
+    settings: { EARLY_INTERCEPT: true },
+    background: staleMappingBackground,
+    cdn: { hosts: { [MIRROR]: 'up' } }
+  });
+  const img = page.addImage(PAGE);
+  await page.advance(0);
+  assert.equal(new URL(img.src).hostname, 'n09.mbwww.org');
+
+  page.finishParsing();
+  await page.advance(60000);
+  assert.equal(page.engine.stateOf(img).phase, 'done');
+  assert.equal(new URL(img.src).hostname, MIRROR);
+  assert.equal(img.naturalWidth, 800);
+});
+
+test('a parsing document is left alone unless EARLY_INTERCEPT is on', async () => {
+  const page = startEngine({
+    loading: true,
+    background: staleMappingBackground,
+    cdn: { hosts: { [MIRROR]: 'up' } }
+  });
+  const img = page.addImage(PAGE);
+  await page.advance(0);
+  assert.equal(img.src, PAGE);
+  assert.deepEqual(page.messages.map(m => m.type), []);
+
+  page.finishParsing();
+  await page.advance(60000);
+  assert.equal(page.engine.stateOf(img).phase, 'done');
+  assert.equal(new URL(img.src).hostname, MIRROR);
+});
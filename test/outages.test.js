@@ -0,0 +1,119 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine } = require('./support/engine');
+
+const PAGES = ['https://k03.mbwww.org/media/1/a.webp', 'https://k03.mbwww.org/media/1/b.webp'];
+const MIRROR = 'n01.mbwww.org';
+
+test('images on a dead host move to the one live mirror', async () => {
+  const page = startEngine({ images: PAGES, cdn: { hosts: { [MIRROR]: 'up' } } });
+  await page.advance(60000);
+  for (const img of page.images) {
+    assert.equal(page.engine.stateOf(img).phase, 'done');
+    assert.equal(new URL(img.src).hostname, MIRROR);
+    assert.equal(img.naturalWidth, 800);
+  }
+});
+
+test('one leader probes per bad host and followers share its answer', async () => {
+  const page = startEngine({ images: PAGES, cdn: { hosts: { [MIRROR]: 'up' } } });
+  await page.advance(60000);
+  const served = page.cdn.requestsTo(MIRROR).filter(r => r.outcome === 'ok').map(r => new URL(r.url).pathname);
+  // The leader's probe plus one load per image; the follower never probes on its own.
+  assert.deepEqual(served.sort(), ['/media/1/a.webp', '/media/1/a.webp', '/media/1/b.webp']);
+  assert.ok(page.engine.swarmHostMap.has('https://k03.mbwww.org'));
+});
+
+test('hanging hosts are cut off by the probe timeout', async () => {
+  // The preemptive prefix swap lands on n03, so let that fail fast and make the probes do the work.
+  const page = startEngine({
+    images: PAGES.slice(0, 1),
+    cdn: { defaultMode: 'hang', hosts: { 'k03.mbwww.org': 'down', 'n03.mbwww.org': 'down', [MIRROR]: 'up' } }
+  });
+  await page.advance(5 * 60 * 1000);
+  assert.equal(page.engine.stateOf(page.images[0]).phase, 'done');
+  assert.ok(page.cdn.requests.some(r => r.mode === 'hang' && r.outcome === 'cancelled'));
+});
+
+test('a full outage waits in the retry queue and recovers when a host comes back', async () => {
+  const page = startEngine({
+    images: PAGES,
+    cdn: { outages: [{ at: 30000, host: MIRROR, mode: 'up' }] }
+  });
+  await page.advance(20000);
+  for (const img of page.images) {
+    const st = page.engine.stateOf(img);
+    assert.equal(st.phase, 'retry');
+    assert.ok(st.lastFailure.tried > 0);
+  }
+  await page.advance(10 * 60 * 1000);
+  for (const img of page.images) {
+    assert.equal(page.engine.stateOf(img).phase, 'done');
+    assert.equal(new URL(img.src).hostname, MIRROR);
+  }
+});
+
+test('images give up once RETRY_MAX_ATTEMPTS rounds have failed', async () => {
+  const page = startEngine({ images: PAGES.slice(0, 1), settings: { RETRY_MAX_ATTEMPTS: 1 } });
+  await page.advance(10 * 60 * 1000);
+  const st = page.engine.stateOf(page.images[0]);
+  assert.equal(st.phase, 'failed');
+  assert.equal(st.retries, 1);
+});
+
+test('retry rounds during a full outage do not sweep every candidate again', async () => {
+  const page = startEngine({ images: PAGES.slice(0, 1) });
+  await page.advance(30 * 60 * 1000);
+  const st = page.engine.stateOf(page.images[0]);
+  assert.equal(st.phase, 'failed');
+  assert.equal(st.retries, 8);
+  // One full sweep, then only the preflight pool and past winners each round; a fresh
+  // sweep per round used to cost about 300 requests.
+  assert.ok(page.cdn.requests.length < 100, `${page.cdn.requests.length} requests`);
+});
+
+test('the same scenario and seed replay the same requests', async () => {
+  const run = async () => {
+    const page = startEngine({
+      images: PAGES,
+      seed: 7,
+      cdn: { hosts: { 'n03.mbwww.org': 'hang' }, outages: [{ at: 15000, host: MIRROR, mode: 'up' }] }
+    });
+    await page.advance(5 * 60 * 1000);
+    return page.cdn.requests.map(r => `${r.at} ${r.url} ${r.outcome}`);
+  };
+  const first = await run();
+  assert.ok(first.length > 0);
+  assert.deepEqual(await run(), first);
+});
+
+test('a manual retry clears breakers on candidates and the preflight pool in one event', async () => {
+  // s03 is back up, but another tab's breaker still holds it shut; b01.mbimg.org is only
+  // ever tried by the best-host preflight.
+  const TRIPPED = 'https://s03.mbwww.org';
+  const PREFLIGHT = 'https://b01.mbimg.org';
+  const open = { failures: 3, openUntil: Date.UTC(2024, 0, 1, 1), lastUsed: Date.UTC(2024, 0, 1) };
+  const page = startEngine({
+    images: PAGES.slice(0, 1),
+    cdn: { hosts: { 's03.mbwww.org': 'up' } },
+    background: msg => (msg.type === 'hostHealth:get' ? { breakers: { [TRIPPED]: open, [PREFLIGHT]: open } } : null)
+  });
+  await page.advance(0);
+  assert.ok(page.engine.isTemporarilyFailedHost(TRIPPED));
+  assert.ok(!page.engine.generateCandidates(page.engine.parseSubdomain(PAGES[0])).some(url => url.startsWith(PREFLIGHT)));
+
+  page.engine.retryFailedImage(page.images[0]);
+  assert.equal(page.engine.isTemporarilyFailedHost(PREFLIGHT), false);
+  await page.advance(60000);
+  assert.equal(new URL(page.images[0].src).hostname, 's03.mbwww.org');
+  const reports = page.messages.filter(m => m.type === 'hostHealth:report' && m.report.breakers && TRIPPED in m.report.breakers);
+  assert.ok(reports.length > 0);
+  assert.equal(reports.at(-1).report.breakers[TRIPPED], null);
+  // The preflight re-trips b01 within the same batch, so the event carries its latest state.
+  const batches = page.messages.filter(m => m.type === 'swarm:announce' && m.event.kind === 'breakers'
+    && m.event.breakers[TRIPPED] === null);
+  assert.equal(batches.length, 1);
+  assert.ok(PREFLIGHT in batches[0].event.breakers);
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine } = require('./support/engine');
+const { startBackground } = require('./support/background');
+
+// The simulated CDN never applies network redirects, like a browser whose rule lacks
+// host access: images on s03 reach s03 whatever the background claims.
+const PAGE = 'https://s03.mbwww.org/media/1/a.webp';
+
+function redirectingBackground(targetBase) {
+  return (msg) => {
+    const redirects = { 'https://s03.mbwww.org': targetBase };
+    if (msg.type === 'hostHealth:get') return { redirects };
+    if (msg.type === 'hostHealth:report') return { ok: true, redirects };
+    if (msg.type === 'redirect:targetFailed') return { ok: true };
+    return null;
+  };
+}
+
+const targetFailures = page => page.messages.filter(m => m.type === 'redirect:targetFailed');
+
+test('a redirect that never applied does not blame its healthy target', async () => {
+  const page = startEngine({
+    images: [PAGE],
+    background: redirectingBackground('https://n09.mbwww.org'),
+    cdn: { hosts: { 'n09.mbwww.org': 'up' } }
+  });
+  await page.advance(60000);
+  assert.deepEqual(targetFailures(page), []);
+  assert.equal(page.engine.isTemporarilyFailedHost('https://n09.mbwww.org'), false);
+  assert.equal(page.engine.stateOf(page.images[0]).phase, 'done');
+});
+
+test('a redirect target that fails a direct probe loses its rule', async () => {
+  const page = startEngine({
+    images: [PAGE],
+    background: redirectingBackground('https://n09.mbwww.org'),
+    cdn: { hosts: { 'n01.mbwww.org': 'up' } }
+  });
+  await page.advance(60000);
+  assert.equal(targetFailures(page).length, 1);
+  assert.equal(targetFailures(page)[0].targetBase, 'https://n09.mbwww.org');
+});
+
+test('trying the original bypasses the redirect rule for its host', async () => {
+  const page = startEngine({
+    images: [PAGE],
+    background: redirectingBackground('https://n01.mbwww.org'),
+    cdn: { hosts: { 'n01.mbwww.org': 'up' } }
+  });
+  await page.advance(60000);
+  const img = page.images[0];
+  assert.equal(new URL(img.src).hostname, 'n01.mbwww.org');
+
+  page.engine.tryOriginalImage(img);
+  assert.equal(img.src, `${PAGE}?bfxOriginal=1`);
+  assert.equal(page.engine.parseSubdomain(img.src).path, '/media/1/a.webp');
+});
+
+function reportingBackground(redirects) {
+  return (msg) => {
+    if (msg.type === 'hostHealth:report') return { ok: true, redirects };
+    return null;
+  };
+}
+
+test('a local win only bypasses a redirect the background actually installed', async () => {
+  const declined = startEngine({
+    images: [PAGE],
+    background: reportingBackground({}),
+    cdn: { hosts: { 'n01.mbwww.org': 'up' } }
+  });
+  await declined.advance(60000);
+  assert.equal(new URL(declined.images[0].src).hostname, 'n01.mbwww.org');
+  declined.engine.tryOriginalImage(declined.images[0]);
+  assert.equal(declined.images[0].src, PAGE);
+
+  const installed = startEngine({
+    images: [PAGE],
+    background: reportingBackground({ 'https://s03.mbwww.org': 'https://n01.mbwww.org' }),
+    cdn: { hosts: { 'n01.mbwww.org': 'up' } }
+  });
+  await installed.advance(60000);
+  installed.engine.tryOriginalImage(installed.images[0]);
+  assert.equal(installed.images[0].src, `${PAGE}?bfxOriginal=1`);
+});
+
+test('the report reply lists only the redirects the background installed', async () => {
+  const report = { hosts: { 'https://s03.mbwww.org': { host: { prefix: 'n', number: 1, root: 'mbwww', tld: 'org' }, lastUsed: 10 } } };
+  const denied = startBackground({ hostAccess: () => false });
+  assert.deepEqual({ ...(await denied.send({ type: 'hostHealth:report', report })).redirects }, {});
+
+  const granted = startBackground();
+  const reply = await granted.send({ type: 'hostHealth:report', report });
+  assert.deepEqual({ ...reply.redirects }, { 'https://s03.mbwww.org': 'https://n01.mbwww.org' });
+});
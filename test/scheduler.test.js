@@ -0,0 +1,26 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine } = require('./support/engine');
+
+function outcome(promise) {
+  return promise.then(() => 'ok', e => e);
+}
+
+test('cancelled probes reject with cancelled, whether running or still queued', async () => {
+  const page = startEngine({ cdn: { defaultMode: 'hang' } });
+  // PROBE_HOST_CAP lets two probes run against one host; the third waits in the queue.
+  const probes = [1, 2, 3].map(n => page.engine.probeUrlCancelable(`https://n01.mbwww.org/media/1/${n}.webp`));
+  await page.advance(200);
+  assert.equal(page.cdn.requests.filter(r => r.outcome === 'pending').length, 2);
+
+  const settled = probes.map(p => outcome(p.promise));
+  probes[0].cancel();
+  probes[2].cancel();
+  assert.equal(await settled[0], 'cancelled');
+  assert.equal(await settled[2], 'cancelled');
+
+  await page.advance(60000);
+  assert.equal(await settled[1], 'timeout');
+});
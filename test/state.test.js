@@ -0,0 +1,30 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine } = require('./support/engine');
+
+const OLD_PAGE = 'https://k03.mbwww.org/media/1/a.webp';
+const NEXT_PAGE = 'https://k03.mbwww.org/media/1/b.webp';
+
+test('a src swapped in while a probe runs is not overwritten by the stale result', async () => {
+  const page = startEngine({
+    images: [OLD_PAGE],
+    cdn: { hosts: { 'n01.mbwww.org': { mode: 'up', latency: 3000 } } },
+    background: () => null
+  });
+  const img = page.images[0];
+  await page.advance(1000);
+  assert.equal(page.engine.stateOf(img).phase, 'fixing');
+
+  // The reader turns the page while the leader is still waiting on n01.
+  img.src = NEXT_PAGE;
+  await page.advance(60000);
+  assert.equal(img.src, 'https://n01.mbwww.org/media/1/b.webp');
+  assert.equal(page.engine.stateOf(img).phase, 'done');
+  const mappings = page.messages
+    .filter(m => m.type === 'hostHealth:report' && m.report.urls)
+    .map(m => m.report.urls[NEXT_PAGE])
+    .filter(Boolean);
+  assert.ok(mappings.every(meta => meta.fixedUrl.endsWith('/media/1/b.webp')));
+});
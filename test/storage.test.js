@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine } = require('./support/engine');
+const { startBackground } = require('./support/background');
+
+const NOW = Date.UTC(2024, 0, 1);
+
+const LEGACY_PAGE_STORAGE = {
+  batoDiscoveredRootsV1: JSON.stringify({ version: 1, savedAt: NOW, roots: { 'mbnew.org': { hits: 4, fails: 1, lastUsed: NOW } } }),
+  batoCandidateHistoryV1: JSON.stringify({ version: 1, savedAt: NOW, entries: { 'p:mb:n': { hits: 9, fails: 2, lastUsed: NOW } } }),
+  batoHostBreakersV1: JSON.stringify({ version: 1, savedAt: NOW, breakers: { 'https://k03.mbwww.org': { failures: 2, openUntil: NOW + 60000, lastUsed: NOW } } }),
+  batoDecoyFingerprintsV1: JSON.stringify({ version: 1, savedAt: NOW, prints: { '200x200': { hits: 3, lastUsed: NOW } } })
+};
+
+test('pages hand their old localStorage caches to the background, then delete them', async () => {
+  const page = startEngine({
+    storage: LEGACY_PAGE_STORAGE,
+    background: msg => (msg.type === 'store:importLegacy' ? { ok: true } : null)
+  });
+  await page.advance(1000);
+  const imported = page.messages.find(m => m.type === 'store:importLegacy');
+  assert.equal(imported.roots.roots['mbnew.org'].hits, 4);
+  assert.equal(imported.history.entries['p:mb:n'].hits, 9);
+  assert.equal(imported.breakers.breakers['https://k03.mbwww.org'].failures, 2);
+  assert.equal(imported.decoys.prints['200x200'].hits, 3);
+  assert.deepEqual([...page.storage.data.keys()], []);
+});
+
+test('old caches stay put until the background confirms the import', async () => {
+  const page = startEngine({ storage: LEGACY_PAGE_STORAGE, background: () => null });
+  await page.advance(1000);
+  assert.equal(page.storage.data.size, Object.keys(LEGACY_PAGE_STORAGE).length);
+});
+
+test('a repair never writes to the page localStorage', async () => {
+  const page = startEngine({
+    images: ['https://k03.mbwww.org/media/1/a.webp'],
+    background: () => null,
+    cdn: { hosts: { 'n01.mbwww.org': 'up' } }
+  });
+  await page.advance(60000);
+  assert.equal(page.engine.stateOf(page.images[0]).phase, 'done');
+  assert.equal(page.storage.data.size, 0);
+});
+
+test('the background files legacy page caches into their IndexedDB stores', async () => {
+  const bg = startBackground();
+  const legacy = Object.fromEntries(Object.entries({
+    roots: 'batoDiscoveredRootsV1',
+    history: 'batoCandidateHistoryV1',
+    breakers: 'batoHostBreakersV1',
+    decoys: 'batoDecoyFingerprintsV1'
+  }).map(([name, key]) => [name, JSON.parse(LEGACY_PAGE_STORAGE[key])]));
+  // The background drops breakers older than a day by its own wall clock.
+  legacy.breakers.breakers['https://k03.mbwww.org'].lastUsed = Date.now();
+
+  assert.equal((await bg.send({ type: 'store:importLegacy', ...legacy })).ok, true);
+  assert.equal(bg.db.roots.get('mbnew.org').hits, 4);
+  assert.equal(bg.db.history.get('p:mb:n').hits, 9);
+  assert.equal(bg.db.breakers.get('https://k03.mbwww.org').failures, 2);
+  assert.equal(bg.db.decoys.get('200x200').hits, 3);
+});
+
+test('decoy prints reported by one tab reach every other tab', async () => {
+  const bg = startBackground();
+  await bg.send({ type: 'hostHealth:report', report: { decoys: { '200x200': { hits: 1, lastUsed: 5 }, 'bogus': { hits: 1 } } } });
+  await bg.send({ type: 'hostHealth:report', report: { decoys: { '200x200': { hits: 2, lastUsed: 9 } } } });
+  await bg.settle();
+  const snapshot = await bg.send({ type: 'hostHealth:get', series: '' });
+  assert.deepEqual({ ...snapshot.decoys['200x200'] }, { hits: 3, lastUsed: 9 });
+  assert.equal(snapshot.decoys.bogus, undefined);
+  assert.equal(bg.db.decoys.get('200x200').hits, 3);
+});
@@ -0,0 +1,155 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createClock } = require('./clock');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const EXTENSION_URL = 'chrome-extension://test/';
+
+// Key paths of store.js's object stores; urls is keyed by [series, badUrl].
+const KEY_PATHS = { hosts: 'badBase', stats: 'host', roots: 'key', history: 'key', breakers: 'cacheKey', decoys: 'print' };
+
+function recordKey(name, record) {
+  return name === 'urls' ? `${record.series}\n${record.badUrl}` : record[KEY_PATHS[name]];
+}
+
+function changeKey(key) {
+  return Array.isArray(key) ? key.join('\n') : key;
+}
+
+// Enough of Chrome's match patterns for the manifest: scheme, optional *. subdomain, path *.
+function matchesPattern(pattern, url) {
+  const m = /^(\*|https?):\/\/(\*\.)?([^/]+)\/\*$/.exec(pattern);
+  if (!m) return false;
+  const u = new URL(url);
+  const host = u.hostname;
+  const schemeOk = m[1] === '*' ? /^https?:$/.test(u.protocol) : u.protocol === `${m[1]}:`;
+  return schemeOk && (host === m[3] || (!!m[2] && host.endsWith(`.${m[3]}`)));
+}
+
+function listenerSet() {
+  const listeners = [];
+  return { listeners, addListener: fn => listeners.push(fn) };
+}
+
+// Runs settings.js, store.js and background.js the way the manifest does, with
+// chrome.* faked and IndexedDB replaced by in-memory stores (`db`, one Map per store).
+//   storage:     initial chrome.storage.local contents
+//   records:     initial IndexedDB records, { storeName: [record, ...] }
+//   hostAccess:  origin pattern -> whether chrome.permissions grants it
+//   tabs:        open tabs, { id, url }; messages sent to them are logged in `tabMessages`
+function startBackground({ storage = {}, records = {}, hostAccess = () => true, tabs = [] } = {}) {
+  const clock = createClock();
+  const local = { ...storage };
+  const rules = new Map();
+  const tabMessages = [];
+  const onMessage = listenerSet();
+  const db = {};
+  for (const name of [...Object.keys(KEY_PATHS), 'urls']) {
+    db[name] = new Map((records[name] || []).map(r => [recordKey(name, r), r]));
+  }
+
+  const chrome = {
+    runtime: {
+      id: 'test',
+      getURL: p => `${EXTENSION_URL}${p}`,
+      getManifest: () => JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8')),
+      onMessage,
+      onInstalled: listenerSet(),
+      onStartup: listenerSet()
+    },
+    storage: {
+      local: {
+        get: async key => ({ [key]: local[key] }),
+        set: async items => Object.assign(local, items),
+        remove: async key => {
+          delete local[key];
+        }
+      },
+      onChanged: listenerSet()
+    },
+    permissions: {
+      contains: async ({ origins }) => origins.every(hostAccess)
+    },
+    declarativeNetRequest: {
+      getDynamicRules: async () => Array.from(rules.values()),
+      updateDynamicRules: async ({ removeRuleIds = [], addRules = [] }) => {
+        for (const id of removeRuleIds) rules.delete(id);
+        for (const rule of addRules) rules.set(rule.id, rule);
+      }
+    },
+    alarms: { create() {}, onAlarm: listenerSet() },
+    tabs: {
+      onRemoved: listenerSet(),
+      onUpdated: listenerSet(),
+      query: async ({ url } = {}) => tabs.filter(tab => !url || url.some(pattern => matchesPattern(pattern, tab.url))),
+      sendMessage: async (tabId, msg) => {
+        tabMessages.push({ tabId, msg });
+      }
+    },
+    scripting: {
+      getRegisteredContentScripts: async () => [],
+      registerContentScripts: async () => {},
+      unregisterContentScripts: async () => {}
+    }
+  };
+
+  const context = vm.createContext({
+    chrome,
+    console,
+    URL,
+    setTimeout: clock.setTimeout,
+    clearTimeout: clock.clearTimeout,
+    importScripts() {}
+  });
+  context.globalThis = context;
+  for (const file of ['settings.js', 'store.js']) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  }
+  const realStore = context.batoFixerStore;
+  context.batoFixerStore = {
+    ...realStore,
+    getAll: async name => Array.from(db[name].values()),
+    getSeries: async series => Array.from(db.urls.values()).filter(r => r.series === series),
+    write: async (changes) => {
+      for (const [name, list] of Object.entries(changes)) {
+        for (const change of list) {
+          if ('put' in change) db[name].set(recordKey(name, change.put), change.put);
+          else db[name].delete(changeKey(change.delete));
+        }
+      }
+    },
+    clear: async (names) => {
+      for (const name of names) db[name].clear();
+    },
+    pruneUrls: async () => {}
+  };
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8'), context, { filename: 'background.js' });
+
+  // Delivers a message the way chrome.runtime does: the first listener that returns true
+  // answers through sendResponse, otherwise the reply is undefined.
+  function send(msg, sender = { tab: { id: 1 }, url: 'https://bato.to/title/1000-series' }) {
+    return new Promise((resolve) => {
+      for (const fn of onMessage.listeners) {
+        if (fn(msg, sender, resolve) === true) return;
+      }
+      resolve(undefined);
+    });
+  }
+
+  return {
+    clock,
+    db,
+    rules,
+    storage: local,
+    tabMessages,
+    send,
+    sendFromExtension: msg => send(msg, { url: `${EXTENSION_URL}options.html` }),
+    // Lets debounced writes and queued rule edits land.
+    settle: () => clock.advance(1000)
+  };
+}
+
+module.exports = { startBackground };
@@ -0,0 +1,74 @@
+'use strict';
+
+// A virtual clock. Timers only fire when a test advances time, in due order, with every
+// pending promise callback drained in between, so a scenario plays out identically on
+// every run regardless of machine speed.
+const TIMER_LIMIT = 100000;
+
+function flushPromises() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+function createClock(startMs = Date.UTC(2024, 0, 1)) {
+  let elapsed = 0;
+  let seq = 0;
+  const timers = new Map();
+
+  function setTimer(fn, ms = 0) {
+    const id = ++seq;
+    const delay = Number.isFinite(ms) && ms > 0 ? ms : 0;
+    timers.set(id, { id, due: elapsed + delay, fn });
+    return id;
+  }
+
+  function clearTimer(id) {
+    timers.delete(id);
+  }
+
+  function nextDue(limit) {
+    let next = null;
+    for (const timer of timers.values()) {
+      if (timer.due > limit) continue;
+      if (!next || timer.due < next.due || (timer.due === next.due && timer.id < next.id)) next = timer;
+    }
+    return next;
+  }
+
+  async function advance(ms) {
+    const end = elapsed + ms;
+    for (let fired = 0; ; fired++) {
+      if (fired > TIMER_LIMIT) throw new Error(`More than ${TIMER_LIMIT} timers fired in one advance(); is something looping?`);
+      await flushPromises();
+      const timer = nextDue(end);
+      if (!timer) break;
+      timers.delete(timer.id);
+      elapsed = timer.due;
+      timer.fn();
+    }
+    elapsed = end;
+    await flushPromises();
+  }
+
+  return {
+    now: () => startMs + elapsed,
+    perfNow: () => elapsed,
+    setTimeout: setTimer,
+    clearTimeout: clearTimer,
+    advance,
+    pendingTimers: () => timers.size
+  };
+}
+
+// mulberry32: small, seedable, good enough to make shuffles repeatable.
+function seededRandom(seed = 1) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = { createClock, seededRandom, flushPromises };
@@ -0,0 +1,105 @@
+'use strict';
+
+// Harness for the Node test suite (run with: npm test).
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createClock, seededRandom } = require('./clock');
+const { createSimCdn } = require('./sim-cdn');
+const { createDom } = require('./fake-dom');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const SITE_SCRIPTS = { bato: 'site-bato.js', mangapark: 'site-mangapark.js' };
+
+function memoryStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    data,
+    getItem: key => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: key => data.delete(key)
+  };
+}
+
+// Runs settings.js, one site script and fixer.js in a fresh context, exactly as the
+// manifest lists them, with every outside dependency served by the simulation.
+//   images:   srcs already on the page when the engine starts
+//   cdn:      scenario for createSimCdn
+//   settings: engine overrides, as stored by the options page
+//   background: msg => reply; when given, the page gets an extension runtime whose
+//               messages go here (and are logged in `messages`); receive() answers back
+//   loading:  start while the document is still parsing; finishParsing() ends it
+function startEngine({ site = 'bato', url = 'https://bato.to/title/1000-series/2000-ch_1', images = [], cdn = {}, settings = null, storage = {}, seed = 1, background = null, loading = false } = {}) {
+  const clock = createClock();
+  const sim = createSimCdn(clock, cdn);
+  const dom = createDom({ loadImage: sim.loadImage, url });
+  if (loading) dom.document.readyState = 'loading';
+  const imgs = images.map(src => dom.addImage(src));
+  const messages = [];
+  const listeners = [];
+
+  let internals = null;
+  const context = vm.createContext({
+    console,
+    URL,
+    chrome: background ? fakeRuntime(background, messages, listeners) : undefined,
+    batoFixerEnv: {
+      document: dom.document,
+      window: dom.window,
+      storage: memoryStorage(storage),
+      setTimeout: clock.setTimeout,
+      clearTimeout: clock.clearTimeout,
+      requestIdleCallback: null,
+      now: clock.now,
+      perfNow: clock.perfNow,
+      random: seededRandom(seed),
+      MutationObserver: dom.MutationObserver,
+      IntersectionObserver: null,
+      loadImage: sim.loadImage,
+      loadDuration: () => null,
+      exposeInternals: (exposed) => {
+        internals = exposed;
+      }
+    }
+  });
+
+  for (const file of ['settings.js', SITE_SCRIPTS[site], 'fixer.js']) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  }
+  if (settings) internals.applySettings({ version: 1, engine: settings, sites: {} });
+
+  return {
+    clock,
+    cdn: sim,
+    dom,
+    images: imgs,
+    engine: internals,
+    storage: context.batoFixerEnv.storage,
+    messages,
+    // Delivers a message from the background to the page's runtime listeners.
+    receive: msg => listeners.forEach(fn => fn(msg, {})),
+    advance: ms => clock.advance(ms),
+    addImage: (src, attrs) => dom.addImage(src, attrs),
+    finishParsing: () => {
+      dom.document.readyState = 'interactive';
+      dom.document.dispatch('DOMContentLoaded');
+    }
+  };
+}
+
+// The content-script side of chrome.runtime, answered by the scenario's background.
+function fakeRuntime(background, messages, listeners) {
+  return {
+    runtime: {
+      id: 'test',
+      sendMessage: (msg) => {
+        messages.push(msg);
+        return Promise.resolve(background(msg) || null);
+      },
+      onMessage: { addListener: fn => listeners.push(fn) }
+    }
+  };
+}
+
+module.exports = { startEngine };
@@ -0,0 +1,329 @@
+'use strict';
+
+// Just enough DOM for the engine: elements with attributes and children, <img> elements
+// that load through the simulated CDN and fire load/error, and a MutationObserver that
+// delivers records on the microtask queue like a browser does. Selectors cover what the
+// engine asks for: a tag name, '*', and [style*="url("].
+function createDom({ loadImage, url = 'https://bato.to/' }) {
+  const observers = new Set();
+  let pendingDelivery = false;
+
+  function queueRecord(record) {
+    for (const observer of observers) observer.consider(record);
+    if (pendingDelivery) return;
+    pendingDelivery = true;
+    Promise.resolve().then(() => {
+      pendingDelivery = false;
+      for (const observer of observers) observer.deliver();
+    });
+  }
+
+  class FakeEventTarget {
+    constructor() {
+      this.listeners = new Map();
+    }
+
+    addEventListener(type, fn) {
+      if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+      this.listeners.get(type).add(fn);
+    }
+
+    removeEventListener(type, fn) {
+      const set = this.listeners.get(type);
+      if (set) set.delete(fn);
+    }
+
+    dispatch(type) {
+      const event = { type, target: this, preventDefault() {}, stopPropagation() {} };
+      for (const fn of Array.from(this.listeners.get(type) || [])) fn.call(this, event);
+    }
+  }
+
+  function matches(el, selector) {
+    if (selector === '*') return true;
+    if (selector === '[style*="url("]') return (el.getAttribute('style') || '').includes('url(');
+    return el.tagName === selector.toUpperCase();
+  }
+
+  class FakeElement extends FakeEventTarget {
+    constructor(tagName) {
+      super();
+      this.nodeType = 1;
+      this.tagName = tagName.toUpperCase();
+      this.attributes = new Map();
+      this.childNodes = [];
+      this.parentNode = null;
+      this.shadowRoot = null;
+      this.textContent = '';
+      this.className = '';
+      const el = this;
+      this.style = {
+        get backgroundImage() {
+          const m = /background-image:\s*(.*?);?$/.exec(el.getAttribute('style') || '');
+          return m ? m[1] : '';
+        },
+        set backgroundImage(value) {
+          el.setAttribute('style', `background-image: ${value}`);
+        }
+      };
+    }
+
+    get ownerDocument() {
+      return document;
+    }
+
+    get parentElement() {
+      return this.parentNode && this.parentNode.nodeType === 1 ? this.parentNode : null;
+    }
+
+    get children() {
+      return this.childNodes.filter(node => node.nodeType === 1);
+    }
+
+    get isConnected() {
+      let node = this;
+      while (node.parentNode) node = node.parentNode;
+      return node === document;
+    }
+
+    getAttribute(name) {
+      return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    setAttribute(name, value) {
+      const oldValue = this.getAttribute(name);
+      this.attributes.set(name, String(value));
+      queueRecord({ type: 'attributes', target: this, attributeName: name, oldValue });
+      this.attributeChanged(name);
+    }
+
+    removeAttribute(name) {
+      if (!this.attributes.has(name)) return;
+      const oldValue = this.getAttribute(name);
+      this.attributes.delete(name);
+      queueRecord({ type: 'attributes', target: this, attributeName: name, oldValue });
+      this.attributeChanged(name);
+    }
+
+    attributeChanged() {
+    }
+
+    insert(node, index) {
+      if (node.parentNode) node.remove();
+      node.parentNode = this;
+      this.childNodes.splice(index, 0, node);
+      queueRecord({ type: 'childList', target: this, addedNodes: [node], removedNodes: [] });
+    }
+
+    appendChild(node) {
+      this.insert(node, this.childNodes.length);
+      return node;
+    }
+
+    append(...nodes) {
+      for (const node of nodes) this.appendChild(node);
+    }
+
+    after(node) {
+      const parent = this.parentNode;
+      if (parent) parent.insert(node, parent.childNodes.indexOf(this) + 1);
+    }
+
+    remove() {
+      const parent = this.parentNode;
+      if (!parent) return;
+      parent.childNodes.splice(parent.childNodes.indexOf(this), 1);
+      this.parentNode = null;
+      queueRecord({ type: 'childList', target: parent, addedNodes: [], removedNodes: [this] });
+    }
+
+    contains(node) {
+      for (let n = node; n; n = n.parentNode) {
+        if (n === this) return true;
+      }
+      return false;
+    }
+
+    querySelectorAll(selector) {
+      const out = [];
+      const walk = (node) => {
+        for (const child of node.childNodes) {
+          if (child.nodeType !== 1) continue;
+          if (matches(child, selector)) out.push(child);
+          walk(child);
+        }
+      };
+      walk(this);
+      return out;
+    }
+
+    closest(selector) {
+      for (let el = this; el && el.nodeType === 1; el = el.parentNode) {
+        if (matches(el, selector)) return el;
+      }
+      return null;
+    }
+
+    attachShadow() {
+      const root = new FakeElement('#shadow-root');
+      root.nodeType = 11;
+      root.host = this;
+      return root;
+    }
+
+    getBoundingClientRect() {
+      return { top: 0, bottom: 100, left: 0, right: 100, width: 100, height: 100 };
+    }
+  }
+
+  // An <img> that requests its src from the CDN as soon as the attribute is set, the way
+  // a browser does even for detached images.
+  class FakeImage extends FakeElement {
+    constructor() {
+      super('img');
+      this.complete = true;
+      this.naturalWidth = 0;
+      this.naturalHeight = 0;
+      this.currentSrc = '';
+      this.referrerPolicy = '';
+      this.loadSeq = 0;
+      this.pendingLoad = null;
+    }
+
+    get src() {
+      return this.getAttribute('src') || '';
+    }
+
+    set src(value) {
+      this.setAttribute('src', value);
+    }
+
+    get srcset() {
+      return this.getAttribute('srcset') || '';
+    }
+
+    set srcset(value) {
+      this.setAttribute('srcset', value);
+    }
+
+    get width() {
+      return this.naturalWidth;
+    }
+
+    get height() {
+      return this.naturalHeight;
+    }
+
+    decode() {
+      return Promise.resolve();
+    }
+
+    attributeChanged(name) {
+      if (name !== 'src') return;
+      if (this.pendingLoad) this.pendingLoad.cancel();
+      this.pendingLoad = null;
+      const seq = ++this.loadSeq;
+      const src = this.src;
+      this.naturalWidth = 0;
+      this.naturalHeight = 0;
+      this.currentSrc = src;
+      if (!src) {
+        this.complete = true;
+        return;
+      }
+      this.complete = false;
+      const load = loadImage(src);
+      this.pendingLoad = load;
+      load.promise.then(size => {
+        if (seq !== this.loadSeq) return;
+        this.pendingLoad = null;
+        this.complete = true;
+        this.naturalWidth = size.width;
+        this.naturalHeight = size.height;
+        this.dispatch('load');
+      }, () => {
+        if (seq !== this.loadSeq) return;
+        this.pendingLoad = null;
+        this.complete = true;
+        this.dispatch('error');
+      });
+    }
+  }
+
+  const location = new URL(url);
+  const window = new FakeEventTarget();
+  window.location = {
+    href: location.href,
+    hostname: location.hostname,
+    pathname: location.pathname
+  };
+  window.navigator = { onLine: true };
+  window.innerHeight = 800;
+  window.top = window;
+
+  const document = new FakeEventTarget();
+  Object.assign(document, {
+    nodeType: 9,
+    readyState: 'complete',
+    hidden: false,
+    defaultView: window,
+    createElement: (tagName) => (tagName.toLowerCase() === 'img' ? new FakeImage() : new FakeElement(tagName))
+  });
+  document.documentElement = new FakeElement('html');
+  document.documentElement.parentNode = document;
+  document.body = new FakeElement('body');
+  document.documentElement.appendChild(document.body);
+  document.querySelectorAll = (selector) => document.documentElement.querySelectorAll(selector);
+  window.document = document;
+
+  class FakeMutationObserver {
+    constructor(callback) {
+      this.callback = callback;
+      this.targets = [];
+      this.records = [];
+    }
+
+    observe(target, options = {}) {
+      this.targets.push({ target, options });
+      observers.add(this);
+    }
+
+    disconnect() {
+      this.targets = [];
+      this.records = [];
+      observers.delete(this);
+    }
+
+    consider(record) {
+      const wanted = this.targets.some(({ target, options }) => {
+        const inScope = record.target === target || (options.subtree && target.contains && target.contains(record.target))
+          || (target === document && document.documentElement.contains(record.target));
+        if (!inScope) return false;
+        if (record.type === 'childList') return !!options.childList;
+        if (!options.attributes) return false;
+        return !options.attributeFilter || options.attributeFilter.includes(record.attributeName);
+      });
+      if (wanted) this.records.push({ addedNodes: [], removedNodes: [], ...record });
+    }
+
+    deliver() {
+      if (this.records.length === 0) return;
+      const records = this.records;
+      this.records = [];
+      this.callback(records, this);
+    }
+  }
+
+  // Builds <img src> (optionally inside a <picture>) and attaches it to the body.
+  function addImage(src, attrs = {}) {
+    const img = document.createElement('img');
+    for (const [name, value] of Object.entries(attrs)) img.setAttribute(name, value);
+    if (src) img.src = src;
+    document.body.appendChild(img);
+    return img;
+  }
+
+  return { document, window, MutationObserver: FakeMutationObserver, addImage };
+}
+
+module.exports = { createDom };
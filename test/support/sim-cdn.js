@@ -0,0 +1,85 @@
+'use strict';
+
+// A simulated image CDN driven by the virtual clock. Each host is in one mode:
+//   up     answers with a full-size page after its latency
+//   down   fails with a network error after its latency
+//   hang   never answers, so only the caller's timeout ends the request
+//   empty  answers with a 1x1 placeholder
+// Hosts the scenario does not mention use defaultMode. `outages` replays changes over
+// time: [{ at: ms, host, mode }]. `sizes` maps a path, or host + path for one host only,
+// to the { width, height } an up host serves instead of a regular page. Every request is logged in the order it was made.
+const PAGE_SIZE = { width: 800, height: 1200 };
+
+function createSimCdn(clock, scenario = {}) {
+  const defaultMode = scenario.defaultMode || 'down';
+  const defaultLatency = scenario.latency || 50;
+  const sizes = scenario.sizes || {};
+  const hosts = new Map();
+  const requests = [];
+
+  function setHost(host, spec) {
+    const prev = hosts.get(host) || {};
+    const next = typeof spec === 'string' ? { mode: spec } : spec;
+    hosts.set(host, { ...prev, ...next });
+  }
+
+  function hostSpec(host) {
+    const spec = hosts.get(host) || {};
+    return { mode: spec.mode || defaultMode, latency: spec.latency == null ? defaultLatency : spec.latency };
+  }
+
+  for (const [host, spec] of Object.entries(scenario.hosts || {})) setHost(host, spec);
+  for (const change of scenario.outages || []) {
+    clock.setTimeout(() => setHost(change.host, change.mode), change.at);
+  }
+
+  // Same contract as the engine's ENV.loadImage: { promise, cancel }, resolving with the
+  // image size or rejecting with 'error'.
+  function loadImage(url) {
+    let host = '';
+    let path = '';
+    try {
+      ({ hostname: host, pathname: path } = new URL(url));
+    } catch {
+    }
+    const { mode, latency } = hostSpec(host);
+    const entry = { at: clock.perfNow(), url, host, mode, outcome: 'pending' };
+    requests.push(entry);
+
+    let timer = null;
+    let settle = null;
+    const promise = new Promise((resolve, reject) => {
+      settle = { resolve, reject };
+    });
+    if (mode !== 'hang') {
+      timer = clock.setTimeout(() => {
+        timer = null;
+        if (mode === 'up') {
+          entry.outcome = 'ok';
+          settle.resolve({ ...(sizes[host + path] || sizes[path] || PAGE_SIZE) });
+        } else if (mode === 'empty') {
+          entry.outcome = 'empty';
+          settle.resolve({ width: 1, height: 1 });
+        } else {
+          entry.outcome = 'error';
+          settle.reject('error');
+        }
+      }, latency);
+    }
+
+    const cancel = () => {
+      if (timer) clock.clearTimeout(timer);
+      timer = null;
+      if (entry.outcome === 'pending') entry.outcome = 'cancelled';
+    };
+    return { promise, cancel };
+  }
+
+  function requestsTo(host) {
+    return requests.filter(r => r.host === host);
+  }
+
+  return { loadImage, setHost, requests, requestsTo };
+}
+
+module.exports = { createSimCdn, PAGE_SIZE };
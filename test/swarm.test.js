@@ -0,0 +1,68 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startBackground } = require('./support/background');
+const { startEngine } = require('./support/engine');
+
+const BAD = 'https://k03.mbwww.org';
+const GOOD = { prefix: 'n', number: 1, root: 'mbwww', tld: 'org' };
+const FORGED = { prefix: 'n', number: 1, root: 'evil-cdn', tld: 'org' };
+
+function readerTabs() {
+  return [
+    { id: 1, url: 'https://bato.to/chapter/1' },
+    { id: 2, url: 'https://bato.to/chapter/2' },
+    { id: 3, url: 'https://mangapark.net/title/3' },
+    { id: 4, url: 'https://example.com/' }
+  ];
+}
+
+test('swarm events reach every other reader tab and no one else', async () => {
+  const bg = startBackground({ tabs: readerTabs() });
+  await bg.send({ type: 'swarm:announce', event: { kind: 'breakers', breakers: { [BAD]: null }, id: 'a:1' } });
+  await bg.settle();
+  assert.deepEqual(bg.tabMessages.map(m => m.tabId).sort(), [2, 3]);
+  assert.equal(bg.tabMessages[0].msg.type, 'swarm:event');
+  assert.equal(bg.tabMessages[0].msg.event.id, 'a:1');
+});
+
+test('the background neither relays nor stores a win on an unknown root', async () => {
+  const bg = startBackground({ tabs: readerTabs() });
+  await bg.send({ type: 'swarm:announce', event: { kind: 'win', badBase: BAD, tuple: FORGED, id: 'a:1' } });
+  await bg.send({ type: 'hostHealth:report', report: { hosts: { [BAD]: { host: FORGED, lastUsed: Date.now() } } } });
+  await bg.settle();
+  assert.equal(bg.tabMessages.length, 0);
+  assert.equal(bg.db.hosts.size, 0);
+  assert.equal(bg.rules.size, 0);
+});
+
+test('a relayed win steers the page but is never reported or persisted', async () => {
+  const page = startEngine({
+    images: ['https://k03.mbwww.org/media/1/a.webp'],
+    cdn: { hosts: { 'n01.mbwww.org': 'up' } },
+    background: () => null
+  });
+  await page.advance(0);
+  page.receive({ type: 'swarm:event', event: { kind: 'win', badBase: BAD, tuple: FORGED, id: 'x:1' } });
+  page.receive({ type: 'swarm:event', event: { kind: 'win', badBase: 'https://k04.mbwww.org', tuple: { ...GOOD, number: 1000 }, id: 'x:2' } });
+  assert.equal(page.engine.swarmHostMap.has(BAD), false);
+  assert.equal(page.engine.swarmHostMap.has('https://k04.mbwww.org'), false);
+
+  page.receive({ type: 'swarm:event', event: { kind: 'win', badBase: BAD, tuple: GOOD, id: 'x:3' } });
+  await page.advance(60000);
+  assert.equal(new URL(page.images[0].src).hostname, 'n01.mbwww.org');
+  const reported = page.messages.filter(m => m.type === 'hostHealth:report'
+    && ((m.report.hosts && BAD in m.report.hosts) || Object.keys(m.report.urls || {}).length > 0));
+  assert.equal(reported.length, 0);
+});
+
+test('breaker changes from one failed round go out as one batched event', async () => {
+  const page = startEngine({ images: ['https://k03.mbwww.org/media/1/a.webp'], background: () => null });
+  await page.advance(20000);
+  const events = page.messages.filter(m => m.type === 'swarm:announce').map(m => m.event);
+  const tripped = new Set(events.flatMap(e => Object.keys(e.breakers || {})));
+  assert.ok(tripped.size > 10);
+  assert.ok(events.every(e => e.kind === 'breakers'));
+  assert.ok(events.length <= 20000 / 1000 + 1);
+});